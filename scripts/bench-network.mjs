@@ -0,0 +1,169 @@
+/**
+ * Per-tick cost of the network background's simulation at growing graph
+ * sizes: GraphEngine.tick() (forces plus edge culling), PacketEngine.step()
+ * and pack(), which both tiers run every frame, and LinkSlots.sync(), the
+ * enhanced tier's main-thread link update per worker frame. With indexed
+ * lookups the per-tick cost should stay flat over a run instead of
+ * creeping up as packets, culls and growth pile on.
+ *
+ *   node scripts/bench-network.mjs [--ticks 300] [--seed 1]
+ */
+
+import { performance } from 'node:perf_hooks'
+import { parseArgs } from 'node:util'
+import { GraphEngine } from '../src/components/ui/resilient-network-source/graph-engine.js'
+import { GraphIndex, LinkSlots } from '../src/components/ui/resilient-network-source/graph-index.js'
+import {
+  PacketEngine,
+  createPacketBuffers
+} from '../src/components/ui/resilient-network-source/packet-engine.js'
+import {
+  NETWORK_CONFIG,
+  createRandom,
+  mergeConfig
+} from '../src/components/ui/resilient-network-source/network-config.js'
+
+const SIZES = [
+  { nodes: 250, links: 750 },
+  { nodes: 500, links: 1500 },
+  { nodes: 1000, links: 3000 },
+  { nodes: 2000, links: 6000 }
+]
+
+const { values } = parseArgs({
+  options: {
+    ticks: { type: 'string', default: '300' },
+    seed: { type: 'string', default: '1' }
+  }
+})
+const ticks = Number(values.ticks)
+const seed = Number(values.seed)
+
+/** Clusters of 20 chained nodes, then random links (mostly within a cluster) up to `linkCount` */
+function buildGraph(nodeCount, linkCount, random) {
+  const nodes = []
+  const links = []
+  const keys = new Set()
+  const connect = (a, b) => {
+    const key = a < b ? `${a}-${b}` : `${b}-${a}`
+    if (a === b || keys.has(key)) return
+    keys.add(key)
+    links.push({ source: a, target: b, utilizedCount: 0 })
+  }
+
+  for (let i = 0; i < nodeCount; i++) {
+    const cluster = Math.floor(i / 20)
+    nodes.push({
+      id: i,
+      cluster,
+      size: 3,
+      x: (random() - 0.5) * 800,
+      y: (random() - 0.5) * 400,
+      z: (random() - 0.5) * 200
+    })
+    if (i % 20 !== 0) connect(i - 1, i)
+  }
+  while (links.length < linkCount) {
+    const a = Math.floor(random() * nodeCount)
+    const b =
+      random() < 0.8
+        ? Math.floor(a / 20) * 20 + Math.floor(random() * 20)
+        : Math.floor(random() * nodeCount)
+    if (b < nodeCount) connect(a, b)
+  }
+  return { nodes, links }
+}
+
+function summarize(samples) {
+  const sorted = samples.slice().sort((a, b) => a - b)
+  const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length
+  return {
+    mean,
+    p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+    max: sorted[sorted.length - 1]
+  }
+}
+
+function run({ nodes: nodeCount, links: linkCount }) {
+  const random = createRandom(seed)
+  const { nodes, links } = buildGraph(nodeCount, linkCount, random)
+  const config = mergeConfig(NETWORK_CONFIG, {
+    seed,
+    maxNodes: nodeCount + 100,
+    maxLinks: linkCount + 100,
+    evolve: true,
+    // Sweep every few ticks so culling and rewiring are part of the measurement
+    edges: { utilizationSweepMs: NETWORK_CONFIG.simulation.tickMs * 4 }
+  })
+  const engine = new GraphEngine(config, { nodes, links, random })
+  const packets = new PacketEngine(engine)
+  const buffers = createPacketBuffers(config.packets.maxPackets, config.packets.trailMax)
+  const slots = new LinkSlots(new GraphIndex())
+  const linkIndices = new Uint32Array(config.maxLinks * 2)
+
+  const graphMs = []
+  const packetMs = []
+  const syncMs = []
+  for (let tick = 0; tick < ticks; tick++) {
+    const start = performance.now()
+    engine.tick()
+    const afterGraph = performance.now()
+    packets.step()
+    packets.pack(buffers)
+    const afterPackets = performance.now()
+    graphMs.push(afterGraph - start)
+    packetMs.push(afterPackets - afterGraph)
+
+    // What the worker packs and the renderer applies
+    engine.links.forEach((link, i) => {
+      linkIndices[i * 2] = link.source.index
+      linkIndices[i * 2 + 1] = link.target.index
+    })
+    const beforeSync = performance.now()
+    slots.sync(linkIndices, engine.links.length, engine.nodes, engine.nodes.length)
+    syncMs.push(performance.now() - beforeSync)
+    // Growth keeps the indexes changing under load
+    if (tick % 50 === 25) engine.spawnNode()
+  }
+
+  // Flat means the last quarter costs about what the first did
+  const quarter = Math.max(1, Math.floor(ticks / 4))
+  const totals = graphMs.map((ms, i) => ms + packetMs[i] + syncMs[i])
+  return {
+    size: `${nodeCount}/${linkCount}`,
+    graph: summarize(graphMs),
+    packets: summarize(packetMs),
+    sync: summarize(syncMs),
+    drift: summarize(totals.slice(-quarter)).mean / summarize(totals.slice(0, quarter)).mean,
+    inFlight: packets.packets.length
+  }
+}
+
+// A report on stdout, not logging
+const print = (line) => process.stdout.write(`${line}\n`)
+const format = ({ mean, p95, max }) => `${mean.toFixed(2)} / ${p95.toFixed(2)} / ${max.toFixed(2)}`
+
+print(`${ticks} ticks per size, seed ${seed}; times in ms (mean / p95 / max)`)
+print(
+  [
+    'nodes/links'.padEnd(12),
+    'graph tick'.padEnd(24),
+    'packets'.padEnd(24),
+    'frame sync'.padEnd(24),
+    'drift',
+    'in flight'
+  ].join('  ')
+)
+for (const size of SIZES) {
+  const result = run(size)
+  print(
+    [
+      result.size.padEnd(12),
+      format(result.graph).padEnd(24),
+      format(result.packets).padEnd(24),
+      format(result.sync).padEnd(24),
+      `${result.drift.toFixed(2)}x`.padEnd(5),
+      result.inFlight
+    ].join('  ')
+  )
+}
@@ -0,0 +1,270 @@
+/**
+ * Orbit camera with damping, limits, animated moves and idle auto-orbit.
+ *
+ * The rig only takes abstract input (rotate/pan/zoom deltas in CSS pixels),
+ * so it can be driven from DOM events here or from forwarded events when
+ * rendering happens elsewhere. attachCameraInput() wires up a DOM element.
+ */
+
+const FRAME_MS = 1000 / 60;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+export class CameraRig {
+  /**
+   * @param {import('three').PerspectiveCamera} camera
+   * @param {Object} settings - NETWORK_CONFIG.camera
+   */
+  constructor(camera, settings) {
+    this.camera = camera;
+    this.settings = settings;
+
+    this.target = { x: 0, y: 0, z: 0 };
+    this.radius = settings.radius;
+    this.theta = 0;            // Azimuth around y, 0 looks down -z
+    this.phi = Math.PI / 2;    // Polar angle from +y
+
+    // Input not yet applied; damping eases it in over several frames
+    this.pending = { theta: 0, phi: 0, x: 0, y: 0, z: 0, zoom: 0 };
+    this.flight = null;
+    this.lastInteraction = -Infinity;
+    this.lastUpdate = null;
+  }
+
+  /** Drag rotation in CSS pixels */
+  rotate(dx, dy, now) {
+    this.interrupt(now);
+    this.pending.theta -= dx * this.settings.rotateSpeed;
+    this.pending.phi -= dy * this.settings.rotateSpeed;
+  }
+
+  /** Drag pan in CSS pixels; `viewportHeight` maps pixels to world units at the target */
+  pan(dx, dy, viewportHeight, now) {
+    this.interrupt(now);
+    const fov = (this.camera.fov * Math.PI) / 180;
+    const unitsPerPixel = (2 * this.radius * Math.tan(fov / 2)) / Math.max(1, viewportHeight);
+    const m = this.camera.matrix.elements;
+    // Camera right (m[0..2]) and up (m[4..6]) axes
+    const right = -dx * unitsPerPixel;
+    const up = dy * unitsPerPixel;
+    this.pending.x += m[0] * right + m[4] * up;
+    this.pending.y += m[1] * right + m[5] * up;
+    this.pending.z += m[2] * right + m[6] * up;
+  }
+
+  /** Zoom by a factor; > 1 moves closer */
+  zoom(factor, now) {
+    if (!(factor > 0)) return;
+    this.interrupt(now);
+    this.pending.zoom += Math.log(factor);
+  }
+
+  /**
+   * Animate to a new orbit center and distance, keeping the viewing angle.
+   */
+  flyTo({ target = this.target, radius = this.radius }, now, durationMs = this.settings.flyMs) {
+    this.pending = { theta: 0, phi: 0, x: 0, y: 0, z: 0, zoom: 0 };
+    this.flight = {
+      start: now,
+      durationMs: Math.max(1, durationMs),
+      fromTarget: { ...this.target },
+      toTarget: { x: target.x || 0, y: target.y || 0, z: target.z || 0 },
+      fromRadius: this.radius,
+      toRadius: clamp(radius, this.settings.minRadius, this.settings.maxRadius)
+    };
+    this.lastInteraction = now;
+  }
+
+  interrupt(now) {
+    this.flight = null;
+    this.lastInteraction = now;
+  }
+
+  /**
+   * Advance damping, flights and auto-orbit, then place the camera.
+   *
+   * @param {number} now - Milliseconds, same clock as the input calls
+   */
+  update(now) {
+    const dt = this.lastUpdate === null ? FRAME_MS : Math.min(100, now - this.lastUpdate);
+    this.lastUpdate = now;
+    const s = this.settings;
+
+    if (this.flight) {
+      const f = this.flight;
+      const t = clamp((now - f.start) / f.durationMs, 0, 1);
+      const k = easeInOutCubic(t);
+      this.target.x = f.fromTarget.x + (f.toTarget.x - f.fromTarget.x) * k;
+      this.target.y = f.fromTarget.y + (f.toTarget.y - f.fromTarget.y) * k;
+      this.target.z = f.fromTarget.z + (f.toTarget.z - f.fromTarget.z) * k;
+      this.radius = f.fromRadius + (f.toRadius - f.fromRadius) * k;
+      if (t >= 1) {
+        this.flight = null;
+        this.lastInteraction = now;
+      }
+    } else {
+      // Frame-rate independent share of the pending input to apply this frame
+      const share = 1 - Math.pow(1 - s.damping, dt / FRAME_MS);
+      const p = this.pending;
+      this.theta += p.theta * share;
+      this.phi = clamp(this.phi + p.phi * share, s.minPolarAngle, s.maxPolarAngle);
+      this.target.x += p.x * share;
+      this.target.y += p.y * share;
+      this.target.z += p.z * share;
+      this.radius = clamp(this.radius * Math.exp(-p.zoom * share), s.minRadius, s.maxRadius);
+      for (const key of Object.keys(p)) {
+        p[key] *= 1 - share;
+      }
+
+      const panLength = Math.hypot(this.target.x, this.target.y, this.target.z);
+      if (panLength > s.maxPan) {
+        const scale = s.maxPan / panLength;
+        this.target.x *= scale;
+        this.target.y *= scale;
+        this.target.z *= scale;
+      }
+
+      // Auto-orbit eases back in over a second once the user goes idle
+      const idle = now - this.lastInteraction - s.idleResumeMs;
+      if (idle > 0) {
+        const ramp = Math.min(1, idle / 1000);
+        this.theta += (s.autoOrbitSpeed * ramp * dt) / 1000;
+      }
+    }
+
+    const sinPhi = Math.sin(this.phi);
+    this.camera.position.set(
+      this.target.x + this.radius * sinPhi * Math.sin(this.theta),
+      this.target.y + this.radius * Math.cos(this.phi),
+      this.target.z + this.radius * sinPhi * Math.cos(this.theta)
+    );
+    this.camera.lookAt(this.target.x, this.target.y, this.target.z);
+  }
+
+  /**
+   * Orbit distance that fits a sphere of `radius` in view.
+   */
+  distanceToFit(radius, aspect) {
+    const vFov = (this.camera.fov * Math.PI) / 180;
+    const hFov = 2 * Math.atan(Math.tan(vFov / 2) * aspect);
+    return radius / Math.sin(Math.min(vFov, hFov) / 2);
+  }
+}
+
+/**
+ * Drive a CameraRig from pointer, wheel and touch-pinch input on `element`.
+ * One pointer rotates (pans with the right button or shift); two pointers
+ * pinch-zoom and pan.
+ *
+ * @returns {{ detach: () => void, dragged: boolean }} `dragged` is true when
+ *   the last press moved far enough to not count as a click
+ */
+export function attachCameraInput(element, rig, clock = () => performance.now()) {
+  const pointers = new Map();
+  let pinchDistance = 0;
+  let pinchCenter = null;
+  let travel = 0;
+  const handle = { dragged: false, detach };
+
+  const center = () => {
+    let x = 0;
+    let y = 0;
+    for (const p of pointers.values()) {
+      x += p.x;
+      y += p.y;
+    }
+    return { x: x / pointers.size, y: y / pointers.size };
+  };
+  const spread = () => {
+    const [a, b] = [...pointers.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  };
+
+  function onPointerDown(event) {
+    element.setPointerCapture?.(event.pointerId);
+    pointers.set(event.pointerId, { x: event.clientX, y: event.clientY, button: event.button });
+    travel = 0;
+    handle.dragged = false;
+    if (pointers.size === 2) {
+      pinchDistance = spread();
+      pinchCenter = center();
+    }
+  }
+
+  function onPointerMove(event) {
+    const pointer = pointers.get(event.pointerId);
+    if (!pointer) return;
+    const dx = event.clientX - pointer.x;
+    const dy = event.clientY - pointer.y;
+    travel += Math.abs(dx) + Math.abs(dy);
+    if (travel > 4) handle.dragged = true;
+    const now = clock();
+    const height = element.clientHeight;
+
+    if (pointers.size === 1) {
+      pointer.x = event.clientX;
+      pointer.y = event.clientY;
+      if (pointer.button === 2 || event.shiftKey) {
+        rig.pan(dx, dy, height, now);
+      } else {
+        rig.rotate(dx, dy, now);
+      }
+      return;
+    }
+
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+    if (pointers.size === 2) {
+      const distance = spread();
+      const mid = center();
+      if (pinchDistance > 0) rig.zoom(distance / pinchDistance, now);
+      rig.pan(mid.x - pinchCenter.x, mid.y - pinchCenter.y, height, now);
+      pinchDistance = distance;
+      pinchCenter = mid;
+    }
+  }
+
+  function onPointerUp(event) {
+    pointers.delete(event.pointerId);
+    if (pointers.size === 2) {
+      pinchDistance = spread();
+      pinchCenter = center();
+    }
+  }
+
+  function onWheel(event) {
+    event.preventDefault();
+    // Lines and pages are normalized to roughly pixel-sized steps
+    const scale = event.deltaMode === 1 ? 16 : event.deltaMode === 2 ? element.clientHeight : 1;
+    rig.zoom(Math.exp(-event.deltaY * scale * rig.settings.zoomSpeed), clock());
+  }
+
+  function onContextMenu(event) {
+    event.preventDefault();
+  }
+
+  element.addEventListener('pointerdown', onPointerDown);
+  element.addEventListener('pointermove', onPointerMove);
+  element.addEventListener('pointerup', onPointerUp);
+  element.addEventListener('pointercancel', onPointerUp);
+  element.addEventListener('wheel', onWheel, { passive: false });
+  element.addEventListener('contextmenu', onContextMenu);
+
+  function detach() {
+    element.removeEventListener('pointerdown', onPointerDown);
+    element.removeEventListener('pointermove', onPointerMove);
+    element.removeEventListener('pointerup', onPointerUp);
+    element.removeEventListener('pointercancel', onPointerUp);
+    element.removeEventListener('wheel', onWheel);
+    element.removeEventListener('contextmenu', onContextMenu);
+    pointers.clear();
+  }
+
+  return handle;
+}
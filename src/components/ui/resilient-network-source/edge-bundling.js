@@ -0,0 +1,187 @@
+/**
+ * Hierarchical edge bundling (Holten 2006) over the layout's own hierarchy:
+ * node -> cluster -> simulation center (see getCenterIndex). A link between
+ * two clusters becomes a B-spline through its clusters' centroids, and
+ * through their centers when those differ, so links between the same
+ * clusters or centers share a corridor. Links within a cluster, or touching
+ * a node with no cluster, stay straight.
+ *
+ * GraphEngine runs it after each layout step (in the physics worker on the
+ * enhanced tier), leaving `link.curve` as CURVE_POINTS points from source
+ * to target, or null. Packets, trails and edges follow it.
+ */
+
+import { getCenterIndex } from './network-config.js';
+
+export const CURVE_POINTS = 12;
+export const CURVE_FLOATS = CURVE_POINTS * 3;
+
+// Source, two cluster centroids, two centers, target
+const MAX_CONTROLS = 6;
+
+export class EdgeBundler {
+  constructor() {
+    this.enabled = false;
+    this.strength = 0;
+    this.curvedCount = 0;
+    this.centroids = new Map();  // cluster -> { x, y, z, count, center }
+    // Control points, flat, with each end repeated twice more so the spline starts and ends on it
+    this.controls = new Float64Array((MAX_CONTROLS + 4) * 3);
+  }
+
+  /**
+   * @param {Object} [settings] - NETWORK_CONFIG.bundling
+   */
+  configure(settings = {}) {
+    this.enabled = !!settings.enabled;
+    this.strength = settings.strength ?? 0.85;
+  }
+
+  /**
+   * Recompute every link's curve from the current positions
+   *
+   * @param {Object[]} nodes
+   * @param {Object[]} links - With node objects as endpoints
+   * @param {Array<{ x, y, z }>} centers - GraphEngine#centers
+   */
+  update(nodes, links, centers) {
+    if (!this.enabled) {
+      if (this.curvedCount > 0) {
+        for (const link of links) link.curve = null;
+        this.curvedCount = 0;
+      }
+      return;
+    }
+
+    this.updateCentroids(nodes, centers);
+    this.curvedCount = 0;
+    for (const link of links) {
+      const { source, target } = link;
+      const from = this.centroids.get(source?.cluster);
+      const to = this.centroids.get(target?.cluster);
+      if (!from || !to || from === to) {
+        link.curve = null;
+        continue;
+      }
+
+      let count = 0;
+      const add = (point) => {
+        this.controls[6 + count * 3] = point.x;
+        this.controls[7 + count * 3] = point.y;
+        this.controls[8 + count * 3] = point.z;
+        count++;
+      };
+      add(source);
+      add(from);
+      if (from.center !== to.center && centers.length > 1) {
+        add(from.center);
+        add(to.center);
+      }
+      add(to);
+      add(target);
+
+      link.curve ??= new Float32Array(CURVE_FLOATS);
+      this.sampleCurve(count, link.curve);
+      this.curvedCount++;
+    }
+  }
+
+  updateCentroids(nodes, centers) {
+    for (const centroid of this.centroids.values()) {
+      centroid.x = centroid.y = centroid.z = centroid.count = 0;
+    }
+    for (const node of nodes) {
+      if (node.cluster === undefined || node.cluster === null) continue;
+      let centroid = this.centroids.get(node.cluster);
+      if (!centroid) {
+        centroid = { x: 0, y: 0, z: 0, count: 0, center: null };
+        this.centroids.set(node.cluster, centroid);
+      }
+      centroid.x += node.x;
+      centroid.y += node.y;
+      centroid.z += node.z;
+      centroid.count++;
+      centroid.center = centers[getCenterIndex(node, centers.length)];
+    }
+    for (const [cluster, centroid] of this.centroids) {
+      if (centroid.count === 0) {
+        this.centroids.delete(cluster);
+        continue;
+      }
+      centroid.x /= centroid.count;
+      centroid.y /= centroid.count;
+      centroid.z /= centroid.count;
+    }
+  }
+
+  /**
+   * Straighten the `count` control points toward the source-target line by
+   * 1 - strength, then sample a uniform cubic B-spline through them into `out`
+   */
+  sampleCurve(count, out) {
+    const c = this.controls;
+    const first = 6;
+    const last = 6 + (count - 1) * 3;
+    for (let i = 1; i < count - 1; i++) {
+      const along = i / (count - 1);
+      for (let axis = 0; axis < 3; axis++) {
+        const straight = c[first + axis] + (c[last + axis] - c[first + axis]) * along;
+        c[first + i * 3 + axis] = straight + (c[first + i * 3 + axis] - straight) * this.strength;
+      }
+    }
+    for (let axis = 0; axis < 3; axis++) {
+      c[axis] = c[3 + axis] = c[first + axis];
+      c[last + 3 + axis] = c[last + 6 + axis] = c[last + axis];
+    }
+
+    const spans = count + 1;
+    for (let s = 0; s < CURVE_POINTS; s++) {
+      const u = (s / (CURVE_POINTS - 1)) * spans;
+      const span = Math.min(Math.floor(u), spans - 1);
+      const t = u - span;
+      const t2 = t * t;
+      const t3 = t2 * t;
+      const b0 = (1 - t) * (1 - t) * (1 - t) / 6;
+      const b1 = (3 * t3 - 6 * t2 + 4) / 6;
+      const b2 = (-3 * t3 + 3 * t2 + 3 * t + 1) / 6;
+      const b3 = t3 / 6;
+      const p = span * 3;
+      for (let axis = 0; axis < 3; axis++) {
+        out[s * 3 + axis] = b0 * c[p + axis] + b1 * c[p + 3 + axis] + b2 * c[p + 6 + axis] + b3 * c[p + 9 + axis];
+      }
+    }
+  }
+}
+
+/**
+ * Position `t` (0..1) of the way from `source` to `target` over their link,
+ * and the direction of travel there (dx, dy; not normalized): along the
+ * link's curve when it has one, else the straight line
+ *
+ * @param {Object|undefined} link - The link between them, either way round
+ */
+export function pointAlongLink(link, source, target, t, out = {}) {
+  const curve = link?.curve;
+  if (!curve) {
+    out.x = source.x + (target.x - source.x) * t;
+    out.y = source.y + (target.y - source.y) * t;
+    out.z = source.z + (target.z - source.z) * t;
+    out.dx = target.x - source.x;
+    out.dy = target.y - source.y;
+    return out;
+  }
+
+  const forward = link.source === source;
+  const u = (forward ? t : 1 - t) * (CURVE_POINTS - 1);
+  const segment = Math.min(Math.max(Math.floor(u), 0), CURVE_POINTS - 2);
+  const f = u - segment;
+  const a = segment * 3;
+  const b = a + 3;
+  out.x = curve[a] + (curve[b] - curve[a]) * f;
+  out.y = curve[a + 1] + (curve[b + 1] - curve[a + 1]) * f;
+  out.z = curve[a + 2] + (curve[b + 2] - curve[a + 2]) * f;
+  const direction = forward ? 1 : -1;
+  out.dx = (curve[b] - curve[a]) * direction;
+  out.dy = (curve[b + 1] - curve[a + 1]) * direction;
+  return out;
+}
@@ -1,13 +1,52 @@
     uniform vec3 color;
+    uniform vec3 hotColor;
+    uniform vec3 coolingColor;
     uniform float time;
+    uniform float highlightActive;
     varying float vOpacity;
+    varying float vHeat;
+    varying float vCooling;
     varying float vPosition;
+    varying float vFailed;
+    varying float vHighlight;
+    varying vec3 vGroupColor;
+    varying float vGrouped;
+    #ifdef INSTANCED
+    uniform float feather;
+    varying float vAcross;
+    varying float vHalfWidth;
+    #endif
     
     void main() {
-      float flow = sin(time * 4.0 - vPosition * 0.03) * 0.5 + 0.5;
+      // Busy links run warmer and their flow quickens
+      float slowFlow = sin(time * 4.0 - vPosition * 0.03) * 0.5 + 0.5;
+      float fastFlow = sin(time * 11.0 - vPosition * 0.05) * 0.5 + 0.5;
+      float flow = mix(slowFlow, fastFlow, vHeat);
       
-      vec3 edgeColor = color;
+      // Group colors interpolate between the endpoints (see updateEdgeGeometry)
+      vec3 edgeColor = mix(mix(color, vGroupColor, vGrouped), hotColor, vHeat);
       
       float pulse = 0.7 + 0.3 * flow;
-      gl_FragColor = vec4(edgeColor, vOpacity * pulse);
+      
+      // Links queued for culling cool: they breathe slowly toward coolingColor with no flow
+      if (vCooling > 0.5) {
+        float breath = sin(time * 1.5 + vPosition * 0.01) * 0.5 + 0.5;
+        edgeColor = mix(edgeColor, coolingColor, 0.5 + 0.5 * breath);
+        pulse = 0.4 + 0.25 * breath;
+      }
+      
+      // Failed links are dashed, dim and carry no flow
+      if (vFailed > 0.5) {
+        if (fract(vPosition * 0.08) > 0.5) discard;
+        pulse = 0.35;
+      }
+      
+      // Links of the hovered node stay lit; the rest fade back
+      float focus = mix(1.0, mix(0.15, 1.4, vHighlight), highlightActive);
+      float coverage = 1.0;
+      #ifdef INSTANCED
+      // Instanced quads fade out across `feather` device pixels at the line's edge
+      coverage = 1.0 - smoothstep(vHalfWidth - feather * 0.5, vHalfWidth + feather * 0.5, abs(vAcross));
+      #endif
+      gl_FragColor = vec4(edgeColor, vOpacity * pulse * focus * coverage);
     }
@@ -0,0 +1,63 @@
+    attribute vec2 corner;
+    attribute vec3 endPosition;
+    attribute float opacity;
+    attribute float heat;
+    attribute float cooling;
+    attribute float failed;
+    attribute float highlight;
+    attribute vec3 groupColor;
+    attribute vec3 endGroupColor;
+    attribute float grouped;
+    uniform vec2 resolution;
+    uniform float lineWidth;
+    uniform float feather;
+    varying float vOpacity;
+    varying float vHeat;
+    varying float vCooling;
+    varying float vFailed;
+    varying float vHighlight;
+    varying float vPosition;
+    varying vec3 vGroupColor;
+    varying float vGrouped;
+    varying float vAcross;
+    varying float vHalfWidth;
+    
+    void main() {
+      // corner.x runs start to end, corner.y across the line
+      float along = corner.x * 0.5 + 0.5;
+      // Lines thinner than a pixel draw a pixel wide and fainter
+      vOpacity = opacity * min(lineWidth, 1.0);
+      vGroupColor = mix(groupColor, endGroupColor, along);
+      vGrouped = grouped;
+      vHeat = heat;
+      vCooling = cooling;
+      vFailed = failed;
+      vHighlight = highlight;
+      vPosition = mix(position.x + position.y, endPosition.x + endPosition.y, along);
+      
+      vec4 start = modelViewMatrix * vec4(position, 1.0);
+      vec4 end = modelViewMatrix * vec4(endPosition, 1.0);
+      
+      // Trim a link that crosses the near plane, or its behind-camera end projects mirrored
+      float nearZ = -0.5 * projectionMatrix[3][2] / projectionMatrix[2][2];
+      if (start.z > nearZ && end.z < nearZ) {
+        start.xyz = mix(end.xyz, start.xyz, (nearZ - end.z) / (start.z - end.z));
+      } else if (end.z > nearZ && start.z < nearZ) {
+        end.xyz = mix(start.xyz, end.xyz, (nearZ - start.z) / (end.z - start.z));
+      }
+      
+      vec4 clipStart = projectionMatrix * start;
+      vec4 clipEnd = projectionMatrix * end;
+      vec2 screenStart = clipStart.xy / clipStart.w * resolution * 0.5;
+      vec2 screenEnd = clipEnd.xy / clipEnd.w * resolution * 0.5;
+      vec2 direction = screenEnd - screenStart;
+      direction = dot(direction, direction) > 0.0 ? normalize(direction) : vec2(1.0, 0.0);
+      
+      // Widen the quad by half the feather on each side for the anti-aliased fringe
+      // (see edge-fragment.glsl), in device pixels
+      vHalfWidth = max(lineWidth, 1.0) * 0.5;
+      vAcross = corner.y * (vHalfWidth + feather * 0.5);
+      vec4 clip = mix(clipStart, clipEnd, along);
+      clip.xy += vec2(-direction.y, direction.x) * vAcross * 2.0 / resolution * clip.w;
+      gl_Position = clip;
+    }
@@ -1,9 +1,27 @@
     attribute float opacity;
+    attribute float heat;
+    attribute float cooling;
+    attribute float failed;
+    attribute float highlight;
+    attribute vec3 groupColor;
+    attribute float grouped;
     varying float vOpacity;
+    varying float vHeat;
+    varying float vCooling;
+    varying float vFailed;
+    varying float vHighlight;
     varying float vPosition;
+    varying vec3 vGroupColor;
+    varying float vGrouped;
     
     void main() {
       vOpacity = opacity;
+      vGroupColor = groupColor;
+      vGrouped = grouped;
+      vHeat = heat;
+      vCooling = cooling;
+      vFailed = failed;
+      vHighlight = highlight;
       vPosition = position.x + position.y;
       gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
     }
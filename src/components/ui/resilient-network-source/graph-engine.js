@@ -0,0 +1,624 @@
+/**
+ * Graph engine shared by both tiers: the d3-force simulation plus the rules
+ * that rewrite the topology (utilization culling, replacement links, and
+ * growth: spawned nodes, idle clusters and retirement), the failure sets
+ * those rules and packet routing respect, and optional edge bundling.
+ *
+ * The baseline tier runs it on the main thread; physics-worker.js wraps it
+ * in a message protocol. Neither talks to the other's transport, so the
+ * engine reports topology changes through the `onLinkRemoved`,
+ * `onNodesAdded` and `onNodesRemoved` hooks, and counts node additions and
+ * removals in `topologyVersion` so a renderer working from node indices
+ * can tell which node set a frame was packed from.
+ *
+ * Lookups go through a GraphIndex kept in step with every node and link
+ * the engine adds or removes, so nothing per tick or per hop scans the graph.
+ */
+
+import { forceSimulation, forceManyBody, forceCenter, forceX, forceY, forceZ, forceLink } from 'd3-force-3d';
+import {
+  buildCenters,
+  buildEdgeKey,
+  getCenterIndex,
+  isLinkFailed,
+  mergeConfig,
+  randomBetween,
+  snapshotGraph
+} from './network-config.js';
+import { EdgeBundler, pointAlongLink } from './edge-bundling.js';
+import { GraphIndex } from './graph-index.js';
+
+export class GraphEngine {
+  /**
+   * @param {Object} config - maxNodes, maxLinks, targetNodeCount, evolve,
+   *   seed and the nodes/edges/growth/simulation sections of NETWORK_CONFIG
+   * @param {Object} [options]
+   * @param {Object[]} [options.nodes] - Kept by reference; the engine appends to it
+   * @param {Object[]} [options.links]
+   * @param {() => number} [options.random]
+   * @param {() => number} [options.now] - Clock in ms; defaults to simulated
+   *   time (ticks * tickMs) when seeded and the wall clock otherwise
+   * @param {(link: { source, target }, reason: string) => void} [options.onLinkRemoved]
+   * @param {(nodes: Object[]) => void} [options.onNodesAdded]
+   * @param {(ids: Array<string|number>, reason: string) => void} [options.onNodesRemoved]
+   */
+  constructor(config, options = {}) {
+    this.config = config;
+    this.random = options.random ?? Math.random;
+    this.deterministic = config.seed !== null && config.seed !== undefined;
+    this.tickCount = 0;
+    this.clock = options.now ?? null;
+    this.onLinkRemoved = options.onLinkRemoved ?? null;
+    this.onNodesAdded = options.onNodesAdded ?? null;
+    this.onNodesRemoved = options.onNodesRemoved ?? null;
+    this.topologyVersion = 0;
+
+    // Injected failures: dead nodes/links stay in the layout but carry no traffic
+    this.failedNodeIds = new Set();
+    this.failedLinkKeys = new Set();
+
+    this.index = new GraphIndex({ isLinkLive: link => !this.isLinkFailed(link) });
+    this.lastUtilizationSweep = null;
+    this.coolingLinks = [];
+    this.lastSpawnAt = null;
+    this.lastClusterAt = null;
+    this.lastRetireAt = null;
+    this.warmUntil = null;
+    this.centers = [{ x: 0, y: 0, z: 0 }];
+    this.bundler = new EdgeBundler();
+
+    this.simulation = forceSimulation([], 3)
+      .randomSource(this.random)
+      .force("charge", forceManyBody())
+      .force("x", forceX().x(d => this.centers[getCenterIndex(d, this.centers.length)].x))
+      .force("y", forceY().y(d => this.centers[getCenterIndex(d, this.centers.length)].y))
+      .force("z", forceZ().z(d => this.centers[getCenterIndex(d, this.centers.length)].z))
+      .force("link", forceLink().id(d => d.id))
+      .stop();
+    this.applyConfig();
+    this.setGraph(options.nodes ?? [], options.links ?? []);
+  }
+
+  now() {
+    if (this.clock) return this.clock();
+    return this.deterministic ? this.tickCount * this.config.simulation.tickMs : performance.now();
+  }
+
+  /**
+   * Merge config changes and re-apply the force settings
+   */
+  setConfig(updates) {
+    this.config = mergeConfig(this.config, updates);
+    this.applyConfig();
+  }
+
+  applyConfig() {
+    const settings = this.config.simulation;
+    this.centers = buildCenters(settings.multiCenterCount, settings.multiCenterRadius);
+    this.bundler.configure(this.config.bundling);
+
+    this.simulation.force("charge").strength(settings.chargeStrength);
+    if (this.centers.length > 1) {
+      this.simulation.force("center", null);
+    } else if (!this.simulation.force("center")) {
+      this.simulation.force("center", forceCenter(0, 0, 0));
+    }
+    // Re-setting the accessors makes d3 re-read the rebuilt centers
+    for (const axis of ['x', 'y', 'z']) {
+      const force = this.simulation.force(axis);
+      force.strength(settings.centerStrength)[axis](force[axis]());
+    }
+    this.simulation.force("link")
+      .distance(settings.linkDistance)
+      .strength(settings.linkStrength);
+  }
+
+  /**
+   * Replace the whole topology. Failures are cleared with it and
+   * topologyVersion starts over; reset() comes back to this graph.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.keepIds] - Go on handing out IDs past every one seen so far
+   *   (see GraphIndex#reset)
+   */
+  setGraph(nodes, links, options = {}) {
+    this.nodes = nodes;
+    this.links = links;
+    for (const link of links) {
+      if (link.utilizedCount === undefined) link.utilizedCount = 0;
+      link.cooling = false;
+    }
+    this.coolingLinks = [];
+    this.baseGraph = snapshotGraph(nodes, links);
+    this.topologyVersion = 0;
+    this.restore();
+    this.index.reset(nodes, links, { keepIds: options.keepIds });
+    this.simulation.nodes(nodes);
+    this.syncLinks();
+    this.simulation.alpha(1);
+  }
+
+  /**
+   * Go back to the graph as the last setGraph() gave it, dropping growth,
+   * removals, failures and utilization since. IDs of the dropped nodes
+   * stay retired, since earlier snapshots and events may still name them.
+   */
+  reset() {
+    const { nodes, links } = this.baseGraph;
+    this.setGraph(nodes.map(n => ({ ...n })), links.map(l => ({ ...l })), { keepIds: true });
+  }
+
+  /**
+   * Run one simulation step, then grow and rewire when evolving.
+   */
+  tick() {
+    this.tickCount++;
+    if (this.warmUntil !== null && this.now() >= this.warmUntil) {
+      this.simulation.alphaTarget(0);
+      this.warmUntil = null;
+    }
+    this.simulation.tick();
+
+    if (this.config.evolve !== false) {
+      this.grow();
+      this.rebalanceEdges();
+    }
+    this.bundleEdges();
+  }
+
+  alpha() {
+    return this.simulation.alpha();
+  }
+
+  /**
+   * Run the layout alone, without growth or rewiring, until it cools to
+   * `alphaMin` or `maxTicks` run out. Used for still frames (reduced motion).
+   *
+   * @returns {number} Layout steps taken
+   */
+  settle({ maxTicks = 300, alphaMin = 0.02 } = {}) {
+    this.simulation.alphaTarget(0);
+    this.warmUntil = null;
+    let ticks = 0;
+    while (ticks < maxTicks && this.simulation.alpha() > alphaMin) {
+      this.simulation.tick();
+      ticks++;
+    }
+    this.bundleEdges();
+    return ticks;
+  }
+
+  /**
+   * Bump alpha so the layout visibly reacts to a batch of new nodes
+   */
+  reheat(alpha) {
+    this.simulation.alpha(Math.max(this.simulation.alpha(), alpha));
+  }
+
+  /**
+   * Hold alphaTarget at `target` for `durationMs`, then let it cool to 0.
+   * Overlapping requests keep the higher target until the last one ends.
+   */
+  warm(target, durationMs) {
+    const now = this.now();
+    const active = this.warmUntil !== null && now < this.warmUntil;
+    this.simulation.alphaTarget(active ? Math.max(target, this.simulation.alphaTarget()) : target);
+    this.warmUntil = Math.max(active ? this.warmUntil : now, now + durationMs);
+  }
+
+  /**
+   * Hand the current link list to the link force (which also numbers
+   * each link's `index`)
+   */
+  syncLinks() {
+    this.simulation.force("link").links(this.links);
+  }
+
+  /**
+   * Curve links between clusters along shared corridors, or straighten
+   * them all again when bundling is off (see edge-bundling.js)
+   */
+  bundleEdges() {
+    this.bundler.update(this.nodes, this.links, this.centers);
+  }
+
+  /**
+   * Where a packet `t` (0..1) of the way from `source` to `target` is, and
+   * which way it's heading (see pointAlongLink)
+   */
+  pointAlong(source, target, t, out) {
+    const link = this.bundler.curvedCount > 0 ? this.index.linkByKey.get(buildEdgeKey(source, target)) : null;
+    return pointAlongLink(link, source, target, t, out);
+  }
+
+  /**
+   * Count packets that crossed edges, by buildEdgeKey() key
+   */
+  registerUtilization(edgeKeys) {
+    for (const key of edgeKeys) {
+      const link = this.index.linkByKey.get(key);
+      if (link) {
+        link.utilizedCount = (link.utilizedCount || 0) + 1;
+      }
+    }
+  }
+
+  getNode(id) {
+    return this.index.getNode(id);
+  }
+
+  /**
+   * Neighbor lists over live links for packet routing
+   */
+  getAdjacency() {
+    return this.index.getAdjacency();
+  }
+
+  isLinkFailed(link) {
+    return isLinkFailed(link, this.failedNodeIds, this.failedLinkKeys);
+  }
+
+  fail({ nodeIds = [], linkKeys = [] }) {
+    for (const id of nodeIds) this.failedNodeIds.add(id);
+    for (const key of linkKeys) this.failedLinkKeys.add(key);
+    this.index.invalidateAdjacency();
+  }
+
+  restore() {
+    this.failedNodeIds = new Set();
+    this.failedLinkKeys = new Set();
+    this.index.invalidateAdjacency();
+  }
+
+  /**
+   * Growth per NETWORK_CONFIG.growth: a node per spawnIntervalMs up to
+   * targetNodeCount, a cluster after clusterIdleMs without one, and once
+   * the graph outgrows its target, a retired node per retireIntervalMs.
+   */
+  grow() {
+    const growth = this.config.growth;
+    const target = this.config.targetNodeCount;
+    if (!growth || !target) return;
+    const now = this.now();
+
+    if (this.nodes.length < target &&
+        (this.lastSpawnAt === null || now - this.lastSpawnAt >= growth.spawnIntervalMs)) {
+      this.lastSpawnAt = now;
+      this.spawnNode();
+    }
+
+    if (this.lastClusterAt === null) this.lastClusterAt = now;
+    if (now - this.lastClusterAt >= growth.clusterIdleMs &&
+        this.nodes.length < this.config.maxNodes - growth.clusterHeadroom) {
+      const x = (this.random() - 0.5) * growth.clusterSpreadX;
+      const y = (this.random() - 0.5) * growth.clusterSpreadY;
+      this.addCluster(x, y);
+    }
+
+    if (this.lastRetireAt === null) this.lastRetireAt = now;
+    if (this.nodes.length > target * growth.retireAboveRatio &&
+        now - this.lastRetireAt >= growth.retireIntervalMs) {
+      this.lastRetireAt = now;
+      const retiree = this.pickRetiree(growth.retireSample);
+      if (retiree) this.removeNodes([retiree.id], 'retired');
+    }
+  }
+
+  /**
+   * The least used of `sample` random healthy nodes, by traffic over its links
+   */
+  pickRetiree(sample) {
+    let retiree = null;
+    let least = Infinity;
+    for (let i = 0; i < sample; i++) {
+      const node = this.nodes[Math.floor(this.random() * this.nodes.length)];
+      if (this.failedNodeIds.has(node.id)) continue;
+      let traffic = 0;
+      for (const link of this.index.getLinks(node.id)) traffic += link.utilizedCount || 0;
+      if (traffic < least) {
+        retiree = node;
+        least = traffic;
+      }
+    }
+    return retiree;
+  }
+
+  /**
+   * Every utilizationSweepMs, cull one rarely used live edge whose endpoints
+   * keep another link, and add a replacement (usually within a cluster).
+   * The next edges.coolingCount candidates get `cooling` set until the
+   * following sweep.
+   */
+  rebalanceEdges() {
+    const now = this.now();
+    const sweepMs = this.config.edges.utilizationSweepMs || 2000;
+    if (this.lastUtilizationSweep === null) this.lastUtilizationSweep = now;
+    if (now - this.lastUtilizationSweep < sweepMs) return;
+    this.lastUtilizationSweep = now;
+
+    const { links, nodes } = this;
+    if (links.length < 2 || nodes.length < 2) return;
+
+    // Only live links count: failed ones are kept on screen, not culled
+    const adjacency = this.index.getAdjacency();
+    const liveDegree = (id) => adjacency.get(id)?.length || 0;
+
+    const sorted = links.slice().sort((a, b) => (a.utilizedCount || 0) - (b.utilizedCount || 0));
+    const cutoff = Math.max(1, Math.floor(sorted.length * (this.config.edges.utilizationCullPercentile || 0.5)));
+    const coolingCount = this.config.edges.coolingCount || 0;
+    const candidates = [];
+    for (let i = 0; i < cutoff && candidates.length <= coolingCount; i++) {
+      const next = sorted[i];
+      if (this.isLinkFailed(next)) continue;
+      const sourceId = next.source?.id ?? next.source;
+      const targetId = next.target?.id ?? next.target;
+      if (liveDegree(sourceId) > 1 && liveDegree(targetId) > 1) {
+        candidates.push(next);
+      }
+    }
+    const [candidate, ...cooling] = candidates;
+    this.setCooling(cooling);
+    if (!candidate) return;
+
+    // Swap-remove by the slot the link force numbered; syncLinks() renumbers
+    const last = links.pop();
+    if (last !== candidate) {
+      links[candidate.index] = last;
+      last.index = candidate.index;
+    }
+    this.index.removeLink(candidate);
+    this.onLinkRemoved?.({
+      source: candidate.source?.id ?? candidate.source,
+      target: candidate.target?.id ?? candidate.target
+    }, 'utilization');
+    this.addReplacementLink();
+
+    this.syncLinks();
+    this.warm(this.config.simulation.rewireAlphaTarget, this.config.simulation.rewireWarmMs);
+  }
+
+  setCooling(links) {
+    for (const link of this.coolingLinks) link.cooling = false;
+    for (const link of links) link.cooling = true;
+    this.coolingLinks = links;
+  }
+
+  /**
+   * Link two random live nodes, 75% of the time within the same cluster
+   *
+   * @returns {boolean} Whether a link was added
+   */
+  addReplacementLink() {
+    const { links, nodes } = this;
+    if (nodes.length < 2 || links.length >= this.config.maxLinks) return false;
+
+    const sourceIdx = Math.floor(this.random() * nodes.length);
+    const source = nodes[sourceIdx];
+    let target = null;
+
+    if (this.random() < 0.75 && source.cluster !== undefined) {
+      // Any other member: a pick landing on the source takes the last slot instead
+      const members = this.index.clusterMembers(source.cluster);
+      if (members.length > 1) {
+        const i = Math.floor(this.random() * (members.length - 1));
+        target = members[i] === source ? members[members.length - 1] : members[i];
+      }
+    }
+
+    if (!target) {
+      let targetIdx = Math.floor(this.random() * nodes.length);
+      if (targetIdx === sourceIdx) targetIdx = (targetIdx + 1) % nodes.length;
+      target = nodes[targetIdx];
+    }
+
+    if (this.failedNodeIds.has(source.id) || this.failedNodeIds.has(target.id)) return false;
+    if (this.index.linkByKey.has(buildEdgeKey(source, target))) return false;
+
+    const link = { source, target, utilizedCount: 0 };
+    links.push(link);
+    this.index.addLink(link);
+    return true;
+  }
+
+  /**
+   * Add nodes and links up to the caps. Links may reference the new nodes
+   * by ID; links to unknown nodes and duplicates are skipped. Alpha is left
+   * to the caller.
+   *
+   * @returns {Object[]} The nodes that fit
+   */
+  addNodes(newNodes, newLinks = []) {
+    const added = [];
+    for (const node of newNodes) {
+      if (this.nodes.length >= this.config.maxNodes) break;
+      this.nodes.push(node);
+      this.index.addNode(node);
+      added.push(node);
+    }
+
+    for (const link of newLinks) {
+      if (this.links.length >= this.config.maxLinks) break;
+      if (!this.getNode(link.source?.id ?? link.source) || !this.getNode(link.target?.id ?? link.target)) continue;
+      if (!this.index.addLink(link)) continue;
+      link.utilizedCount = link.utilizedCount || 0;
+      this.links.push(link);
+    }
+
+    this.simulation.nodes(this.nodes);
+    this.syncLinks();
+    if (added.length > 0) {
+      this.topologyVersion++;
+      this.onNodesAdded?.(added);
+    }
+    return added;
+  }
+
+  /**
+   * Drop nodes and every link touching them. The arrays are compacted in
+   * place, so the remaining nodes keep their order.
+   *
+   * @param {Array<string|number>} ids
+   * @param {string} [reason] - Passed to onNodesRemoved, e.g. 'retired'
+   * @returns {Array<string|number>} IDs of the nodes that existed
+   */
+  removeNodes(ids, reason = 'removed') {
+    const removed = new Set();
+    for (const id of ids) {
+      if (this.getNode(id)) removed.add(id);
+    }
+    if (removed.size === 0) return [];
+
+    let kept = 0;
+    for (const node of this.nodes) {
+      if (!removed.has(node.id)) this.nodes[kept++] = node;
+    }
+    this.nodes.length = kept;
+    kept = 0;
+    for (const link of this.links) {
+      if (removed.has(link.source?.id ?? link.source) || removed.has(link.target?.id ?? link.target)) continue;
+      this.links[kept++] = link;
+    }
+    this.links.length = kept;
+    for (const id of removed) this.failedNodeIds.delete(id);
+
+    // Removed IDs stay retired so events and selections never follow a newcomer
+    this.index.reset(this.nodes, this.links, { keepIds: true });
+    this.simulation.nodes(this.nodes);
+    this.syncLinks();
+    this.topologyVersion++;
+    this.onNodesRemoved?.([...removed], reason);
+    return [...removed];
+  }
+
+  /**
+   * Drop links by their endpoints (IDs or nodes), in any order. The link
+   * array is compacted in place.
+   *
+   * @param {Array<{ source, target }>} pairs
+   * @returns {Array<{ source, target }>} Endpoint IDs of the links that existed
+   */
+  removeLinks(pairs) {
+    const removed = new Set();
+    for (const { source, target } of pairs) {
+      const link = this.index.linkByKey.get(buildEdgeKey(source, target));
+      if (link) removed.add(link);
+    }
+    if (removed.size === 0) return [];
+
+    let kept = 0;
+    for (const link of this.links) {
+      if (!removed.has(link)) this.links[kept++] = link;
+    }
+    this.links.length = kept;
+
+    const endpoints = [];
+    for (const link of removed) {
+      this.index.removeLink(link);
+      this.failedLinkKeys.delete(buildEdgeKey(link.source, link.target));
+      const ends = { source: link.source?.id ?? link.source, target: link.target?.id ?? link.target };
+      endpoints.push(ends);
+      this.onLinkRemoved?.(ends, 'removed');
+    }
+    this.syncLinks();
+    return endpoints;
+  }
+
+  /**
+   * Add a 15–29 node cluster at a position, chained with a few skip links
+   * and joined to the nearest existing node when one is close. Restarts
+   * the idle-cluster timer either way.
+   *
+   * @returns {Object[]} The new nodes (empty when near the node cap)
+   */
+  addCluster(x, y, z = 0) {
+    this.lastClusterAt = this.now();
+    if (this.nodes.length >= this.config.maxNodes - 30) return [];
+
+    const random = this.random;
+    const count = 15 + Math.floor(random() * 15);
+    const clusterId = this.index.nextCluster();
+    const firstId = this.index.nextId();
+    const newNodes = [];
+    const newLinks = [];
+
+    for (let i = 0; i < count; i++) {
+      newNodes.push({
+        id: firstId + i,
+        x: x + (random() - 0.5) * 80,
+        y: y + (random() - 0.5) * 80,
+        z: z + (random() - 0.5) * 80,
+        vx: 0, vy: 0, vz: 0,
+        size: randomBetween(this.config.nodes.clusterSizeMin, this.config.nodes.clusterSizeMax, random),
+        cluster: clusterId
+      });
+    }
+
+    for (let i = 0; i < count - 1; i++) {
+      newLinks.push({ source: newNodes[i].id, target: newNodes[i + 1].id, utilizedCount: 0 });
+      if (random() > 0.6 && i < count - 2) {
+        newLinks.push({ source: newNodes[i].id, target: newNodes[i + 2].id, utilizedCount: 0 });
+      }
+    }
+
+    const nearest = this.findNearest(x, y, z, 200);
+    if (nearest) {
+      newLinks.push({ source: newNodes[0].id, target: nearest.id, utilizedCount: 0 });
+    }
+
+    const added = this.addNodes(newNodes, newLinks);
+    this.reheat(0.5);
+    return added;
+  }
+
+  /**
+   * Grow by one node drifting in from a ring around the graph, linked to
+   * its nearest neighbor when one is in reach.
+   *
+   * @returns {Object|null} The new node, or null at the node cap
+   */
+  spawnNode() {
+    if (this.nodes.length >= this.config.maxNodes) return null;
+
+    const angle = this.random() * Math.PI * 2;
+    const r = 250;
+    const node = {
+      id: this.index.nextId(),
+      x: Math.cos(angle) * r,
+      y: Math.sin(angle) * r,
+      z: (this.random() - 0.5) * 80,
+      vx: -Math.cos(angle) * 0.5,
+      vy: -Math.sin(angle) * 0.5,
+      vz: 0,
+      size: randomBetween(this.config.nodes.spawnSizeMin, this.config.nodes.spawnSizeMax, this.random)
+    };
+
+    const nearest = this.findNearest(node.x, node.y, node.z, 180);
+    const links = nearest ? [{ source: node.id, target: nearest.id, utilizedCount: 0 }] : [];
+    this.addNodes([node], links);
+    this.warm(this.config.simulation.growthAlphaTarget, this.config.simulation.growthWarmMs);
+    return node;
+  }
+
+  /**
+   * Closest node to a point, if within `maxDistance`
+   */
+  findNearest(x, y, z, maxDistance) {
+    let nearest = null;
+    let minDist = maxDistance * maxDistance;
+    for (const n of this.nodes) {
+      const dx = n.x - x;
+      const dy = n.y - y;
+      const dz = n.z - z;
+      const dist = dx * dx + dy * dy + dz * dz;
+      if (dist < minDist) {
+        minDist = dist;
+        nearest = n;
+      }
+    }
+    return nearest;
+  }
+
+  snapshot() {
+    return snapshotGraph(this.nodes, this.links);
+  }
+}
@@ -0,0 +1,337 @@
+/**
+ * Incremental lookups over a node/link set, so per-frame and per-hop code
+ * never scans the arrays: nodes by ID, links by buildEdgeKey() key,
+ * neighbors per node, members per cluster, the next free numeric IDs and
+ * the live neighbor lists packet routing reads (see buildAdjacency()).
+ *
+ * The index does not own the arrays; callers report each node and link
+ * they add or remove.
+ */
+
+import { CURVE_FLOATS } from './edge-bundling.js';
+import { buildEdgeKey } from './network-config.js';
+import { buildAdjacency, linkCost } from './packet-routing.js';
+
+function endpointId(endpoint) {
+  return endpoint && endpoint.id !== undefined ? endpoint.id : endpoint;
+}
+
+export class GraphIndex {
+  /**
+   * @param {Object} [options]
+   * @param {(link: Object) => boolean} [options.isLinkLive] - Which links routing may use
+   */
+  constructor(options = {}) {
+    this.isLinkLive = options.isLinkLive ?? (() => true);
+    this.reset([], []);
+  }
+
+  /**
+   * Re-index from scratch
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.keepIds] - Keep the ID and cluster high-water marks, so IDs of
+   *   removed nodes are never handed out again (see nextId)
+   */
+  reset(nodes, links, options = {}) {
+    this.nodeById = new Map();
+    this.clusters = new Map();  // cluster -> nodes
+    if (!options.keepIds) {
+      this.maxId = -1;
+      this.maxCluster = -1;
+    }
+    this.clearLinks();
+    for (const node of nodes) this.addNode(node);
+    for (const link of links) this.addLink(link);
+  }
+
+  /**
+   * Forget every link, keeping the nodes
+   */
+  clearLinks() {
+    this.linkByKey = new Map();
+    this.neighbors = new Map();  // node ID -> Map(neighbor ID -> link)
+    this.adjacency = null;
+  }
+
+  get linkCount() {
+    return this.linkByKey.size;
+  }
+
+  addNode(node) {
+    this.nodeById.set(node.id, node);
+    // String IDs that read as numbers count too: buildEdgeKey() wouldn't tell "5" from a grown 5
+    const numericId = typeof node.id === 'string' && node.id.trim() !== '' ? Number(node.id) : node.id;
+    if (Number.isFinite(numericId) && numericId > this.maxId) this.maxId = numericId;
+    if (node.cluster === undefined) return;
+    if (Number.isFinite(node.cluster) && node.cluster > this.maxCluster) this.maxCluster = node.cluster;
+    let members = this.clusters.get(node.cluster);
+    if (!members) {
+      members = [];
+      this.clusters.set(node.cluster, members);
+    }
+    members.push(node);
+  }
+
+  getNode(id) {
+    return this.nodeById.get(id) || null;
+  }
+
+  /**
+   * Next free integer node ID / cluster: one past the highest numeric one
+   * seen since the graph was set, including nodes removed since
+   */
+  nextId() {
+    return Math.floor(this.maxId) + 1;
+  }
+
+  nextCluster() {
+    return Math.floor(this.maxCluster) + 1;
+  }
+
+  clusterMembers(cluster) {
+    return this.clusters.get(cluster) || [];
+  }
+
+  /**
+   * @returns {boolean} False for a self-loop, a missing endpoint or a link already indexed
+   */
+  addLink(link) {
+    const sourceId = endpointId(link.source);
+    const targetId = endpointId(link.target);
+    const key = buildEdgeKey(sourceId, targetId);
+    if (!key || sourceId === targetId || this.linkByKey.has(key)) return false;
+
+    this.linkByKey.set(key, link);
+    this.connect(sourceId, targetId, link);
+    this.connect(targetId, sourceId, link);
+    if (this.adjacency && this.isLinkLive(link)) {
+      const cost = linkCost(link);
+      this.addRoute(sourceId, targetId, cost);
+      this.addRoute(targetId, sourceId, cost);
+    }
+    return true;
+  }
+
+  removeLink(link) {
+    const sourceId = endpointId(link.source);
+    const targetId = endpointId(link.target);
+    const key = buildEdgeKey(sourceId, targetId);
+    if (this.linkByKey.get(key) !== link) return;
+
+    this.linkByKey.delete(key);
+    this.neighbors.get(sourceId)?.delete(targetId);
+    this.neighbors.get(targetId)?.delete(sourceId);
+    if (this.adjacency) {
+      this.removeRoute(sourceId, targetId);
+      this.removeRoute(targetId, sourceId);
+    }
+  }
+
+  getNeighborIds(id) {
+    const neighbors = this.neighbors.get(id);
+    return neighbors ? [...neighbors.keys()] : [];
+  }
+
+  /**
+   * Links touching a node, failed or not
+   */
+  getLinks(id) {
+    const neighbors = this.neighbors.get(id);
+    return neighbors ? [...neighbors.values()] : [];
+  }
+
+  /**
+   * Live neighbor lists for packet routing. Built on first use, then kept
+   * up to date link by link; call invalidateAdjacency() when which links
+   * are live changes (failures).
+   */
+  getAdjacency() {
+    if (!this.adjacency) {
+      const liveLinks = [];
+      for (const link of this.linkByKey.values()) {
+        if (this.isLinkLive(link)) liveLinks.push(link);
+      }
+      this.adjacency = buildAdjacency(liveLinks);
+    }
+    return this.adjacency;
+  }
+
+  invalidateAdjacency() {
+    this.adjacency = null;
+  }
+
+  connect(fromId, toId, link) {
+    let neighbors = this.neighbors.get(fromId);
+    if (!neighbors) {
+      neighbors = new Map();
+      this.neighbors.set(fromId, neighbors);
+    }
+    neighbors.set(toId, link);
+  }
+
+  addRoute(fromId, toId, cost) {
+    let routes = this.adjacency.get(fromId);
+    if (!routes) {
+      routes = [];
+      this.adjacency.set(fromId, routes);
+    }
+    routes.push({ id: toId, cost });
+  }
+
+  removeRoute(fromId, toId) {
+    const routes = this.adjacency.get(fromId);
+    if (!routes) return;
+    const i = routes.findIndex(route => route.id === toId);
+    if (i === -1) return;
+    routes[i] = routes[routes.length - 1];
+    routes.pop();
+    // Routing treats nodes without entries as disconnected
+    if (routes.length === 0) this.adjacency.delete(fromId);
+  }
+}
+
+/**
+ * The renderer's copy of the worker's link array, kept from each frame's
+ * endpoint indices (see physics-worker.js). Only slots whose endpoints
+ * changed are rebuilt; the worker rewires a link or two at a time, so most
+ * frames touch none. A link that only moved slot (node indices shift when
+ * nodes are removed) keeps its object, and with it any renderer state.
+ */
+export class LinkSlots {
+  /**
+   * @param {GraphIndex} index - Kept in step with the slots
+   */
+  constructor(index) {
+    this.index = index;
+    this.reset();
+  }
+
+  /**
+   * Start over from the next frame
+   *
+   * @param {Array<Object|null>} [links] - Link objects for that sync to reuse where their
+   *   endpoints match, keeping fields the worker doesn't send (meta, weight)
+   */
+  reset(links = []) {
+    this.links = [];      // Slot -> link, or null while an endpoint is unknown
+    this.indices = null;  // Endpoint indices the slots were built from
+    this.carried = null;  // Key -> link offered for reuse by the next sync
+    for (const link of links) {
+      if (!link) continue;
+      this.carried ??= new Map();
+      this.carried.set(buildEdgeKey(link.source, link.target), link);
+    }
+  }
+
+  /**
+   * Node indices shifted (nodes were removed): rebuild every slot from the
+   * next frame, reusing the link objects whose endpoints are still there
+   */
+  renumber() {
+    this.reset(this.links);
+  }
+
+  /**
+   * @param {Uint32Array} linkIndices - Source/target node index pairs
+   * @param {number} linkCount
+   * @param {Object[]} nodes - Nodes by index
+   * @param {number} nodeCount - Nodes known so far; links past it wait
+   * @param {Uint32Array} [utilization] - Per-slot utilizedCount, copied onto the links
+   * @param {Uint8Array} [cooling] - Per-slot cooling flags, copied onto the links
+   * @returns {boolean} Whether any slot changed
+   */
+  sync(linkIndices, linkCount, nodes, nodeCount, utilization, cooling) {
+    const previous = this.indices;
+    const previousCount = this.links.length;
+    // The first frame replaces whatever links the index started with
+    if (!previous) this.index.clearLinks();
+
+    const changed = [];
+    for (let i = 0; i < linkCount; i++) {
+      const sourceIdx = linkIndices[i * 2];
+      const targetIdx = linkIndices[i * 2 + 1];
+      const same = previous && i < previousCount &&
+        previous[i * 2] === sourceIdx && previous[i * 2 + 1] === targetIdx;
+      // Unchanged, unless its endpoints have only now arrived
+      if (same && (this.links[i] || sourceIdx >= nodeCount || targetIdx >= nodeCount)) continue;
+      changed.push(i);
+    }
+    if (changed.length === 0 && linkCount === previousCount) {
+      this.copyLinkState(utilization, cooling);
+      return false;
+    }
+
+    // Unindex every outgoing link before indexing replacements, which may reuse their keys
+    const outgoing = this.carried ?? new Map();
+    this.carried = null;
+    const unindex = (link) => {
+      if (!link) return;
+      this.index.removeLink(link);
+      outgoing.set(buildEdgeKey(link.source, link.target), link);
+    };
+    for (const i of changed) unindex(this.links[i]);
+    for (let i = linkCount; i < previousCount; i++) unindex(this.links[i]);
+    this.links.length = linkCount;
+    for (const i of changed) {
+      const sourceIdx = linkIndices[i * 2];
+      const targetIdx = linkIndices[i * 2 + 1];
+      let link = null;
+      if (sourceIdx < nodeCount && targetIdx < nodeCount) {
+        const source = nodes[sourceIdx];
+        const target = nodes[targetIdx];
+        const key = buildEdgeKey(source, target);
+        link = outgoing.get(key);
+        if (link) {
+          outgoing.delete(key);
+          link.source = source;
+          link.target = target;
+        } else {
+          link = { source, target, utilizedCount: 0 };
+        }
+        this.index.addLink(link);
+      }
+      this.links[i] = link;
+    }
+
+    if (!this.indices || this.indices.length < linkCount * 2) {
+      this.indices = new Uint32Array(linkCount * 2);
+    }
+    this.indices.set(linkIndices.subarray(0, linkCount * 2));
+    this.copyLinkState(utilization, cooling);
+    return true;
+  }
+
+  /**
+   * Give each link its bundled curve from a frame (see edge-bundling.js);
+   * links missing from `curveSlots` are straight
+   *
+   * @param {Uint32Array} curveSlots - Ascending link slots
+   * @param {Float32Array} curves - CURVE_FLOATS per entry of curveSlots
+   */
+  copyCurves(curveSlots, curves, curveCount) {
+    let next = 0;
+    for (let i = 0; i < this.links.length; i++) {
+      const link = this.links[i];
+      const curved = next < curveCount && curveSlots[next] === i;
+      if (curved) {
+        if (link) {
+          link.curve ??= new Float32Array(CURVE_FLOATS);
+          link.curve.set(curves.subarray(next * CURVE_FLOATS, (next + 1) * CURVE_FLOATS));
+        }
+        next++;
+      } else if (link) {
+        link.curve = null;
+      }
+    }
+  }
+
+  copyLinkState(utilization, cooling) {
+    for (let i = 0; i < this.links.length; i++) {
+      const link = this.links[i];
+      if (!link) continue;
+      if (utilization) link.utilizedCount = utilization[i];
+      if (cooling) link.cooling = cooling[i] === 1;
+    }
+  }
+}
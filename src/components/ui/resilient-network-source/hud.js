@@ -0,0 +1,115 @@
+/**
+ * Diagnostics overlay for tuning NETWORK_CONFIG: frame timing, worker
+ * round trip, layout energy, counts against caps and packet delivery.
+ *
+ * Reads ResilientNetwork#getDiagnostics(); it never touches the scene.
+ */
+
+function formatNumber(value, digits = 1) {
+  return typeof value === 'number' && Number.isFinite(value) ? value.toFixed(digits) : '–';
+}
+
+function formatCap({ count, max }) {
+  const share = max > 0 ? Math.round((count / max) * 100) : 0;
+  return `${count}/${max} (${share}%)`;
+}
+
+export class NetworkHud {
+  /**
+   * @param {HTMLElement} container
+   * @param {Object} settings - NETWORK_CONFIG.hud
+   */
+  constructor(container, settings) {
+    this.settings = settings;
+    this.lastRender = -Infinity;
+    // Recent { time, delivered, dropped } samples for the live delivery ratio
+    this.samples = [];
+
+    this.element = document.createElement('pre');
+    this.element.className = 'resilient-network-hud';
+    Object.assign(this.element.style, {
+      position: 'absolute',
+      top: '8px',
+      left: '8px',
+      zIndex: '1',
+      margin: '0',
+      padding: '6px 8px',
+      borderRadius: '4px',
+      background: 'rgba(20, 18, 30, 0.72)',
+      color: '#d6d8ff',
+      font: '11px/1.35 ui-monospace, SFMono-Regular, Menlo, monospace',
+      pointerEvents: 'none',
+      whiteSpace: 'pre',
+      display: 'none'
+    });
+    container.appendChild(this.element);
+  }
+
+  get visible() {
+    return this.element.style.display !== 'none';
+  }
+
+  setVisible(visible) {
+    this.element.style.display = visible ? 'block' : 'none';
+    this.lastRender = -Infinity;
+  }
+
+  /**
+   * @param {Object} diagnostics - ResilientNetwork#getDiagnostics()
+   * @param {number} now - ms
+   */
+  update(diagnostics, now) {
+    if (now - this.lastRender < this.settings.updateMs) return;
+    this.lastRender = now;
+    // Sampled while hidden too, so the ratio is ready when the overlay opens
+    this.recordDelivery(diagnostics.routing, now);
+    if (!this.visible) return;
+
+    const d = diagnostics;
+    const ratio = this.deliveryRatio();
+    this.element.textContent = [
+      `tier      ${d.tier}`,
+      `fps       ${formatNumber(d.fps, 0)}`,
+      `frame     ${formatNumber(d.frameMs, 2)} ms`,
+      `worker    ${d.workerRttMs === null ? '–' : `${formatNumber(d.workerRttMs, 1)} ms`}${d.transport ? ` (${d.transport})` : ''}`,
+      `alpha     ${formatNumber(d.alpha, 3)}`,
+      `nodes     ${formatCap(d.nodes)}`,
+      `links     ${formatCap(d.links)}`,
+      `packets   ${formatCap(d.packets)}`,
+      `trails    ${formatCap(d.trails)}`,
+      `routing   ${d.routing.strategy}`,
+      `delivery  ${ratio === null ? '–' : `${Math.round(ratio * 100)}%`}`
+    ].join('\n');
+  }
+
+  recordDelivery({ delivered, dropped }, now) {
+    const last = this.samples[this.samples.length - 1];
+    // Counters restart when the routing strategy changes
+    if (last && (delivered < last.delivered || dropped < last.dropped)) {
+      this.samples = [];
+    }
+    this.samples.push({ time: now, delivered, dropped });
+    const cutoff = now - this.settings.deliveryWindowMs;
+    while (this.samples.length > 2 && this.samples[1].time <= cutoff) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * Delivered share of the data packets that finished within the window.
+   *
+   * @returns {number|null} null until a packet has finished
+   */
+  deliveryRatio() {
+    if (this.samples.length < 2) return null;
+    const first = this.samples[0];
+    const last = this.samples[this.samples.length - 1];
+    const delivered = last.delivered - first.delivered;
+    const finished = delivered + (last.dropped - first.dropped);
+    return finished > 0 ? delivered / finished : null;
+  }
+
+  destroy() {
+    this.element.remove();
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Node and edge geometry for both renderers (NETWORK_CONFIG.renderer.mode).
+ *
+ * 'points' draws nodes as Points and edges as LineSegments: one vertex per
+ * node, two per edge. 'instanced' draws one screen-facing quad per node and
+ * per edge, still one draw call each. Its per-instance attributes are views
+ * of the same arrays, an edge's two vertices read as its start and end, so
+ * updateNodeGeometry and updateEdgeGeometry write either layout unchanged.
+ */
+
+import {
+  BufferAttribute,
+  BufferGeometry,
+  InstancedBufferAttribute,
+  InstancedBufferGeometry,
+  InstancedInterleavedBuffer,
+  InterleavedBufferAttribute
+} from 'three';
+
+// Attribute name -> components per vertex
+const NODE_ATTRIBUTES = { position: 3, size: 1, alpha: 1, failed: 1, highlight: 1, groupColor: 3, grouped: 1 };
+const EDGE_ATTRIBUTES = { position: 3, opacity: 1, heat: 1, cooling: 1, failed: 1, highlight: 1, groupColor: 3, grouped: 1 };
+
+// Edge attributes that differ between the ends; instanced edges also read them as endPosition, endGroupColor
+const EDGE_END_ATTRIBUTES = ['position', 'groupColor'];
+
+/**
+ * @param {number} capacity - Nodes
+ * @param {boolean} instanced
+ */
+export function createNodeGeometry(capacity, instanced) {
+  const geometry = instanced ? createQuadGeometry() : new BufferGeometry();
+  const Attribute = instanced ? InstancedBufferAttribute : BufferAttribute;
+  for (const [name, size] of Object.entries(NODE_ATTRIBUTES)) {
+    geometry.setAttribute(name, new Attribute(new Float32Array(capacity * size), size));
+  }
+  return geometry;
+}
+
+/**
+ * @param {number} capacity - Edges
+ * @param {boolean} instanced
+ */
+export function createEdgeGeometry(capacity, instanced) {
+  const geometry = instanced ? createQuadGeometry() : new BufferGeometry();
+  for (const [name, size] of Object.entries(EDGE_ATTRIBUTES)) {
+    const array = new Float32Array(capacity * 2 * size);
+    if (!instanced) {
+      geometry.setAttribute(name, new BufferAttribute(array, size));
+      continue;
+    }
+
+    const buffer = new InstancedInterleavedBuffer(array, size * 2);
+    geometry.setAttribute(name, new InterleavedBufferAttribute(buffer, size, 0));
+    if (EDGE_END_ATTRIBUTES.includes(name)) {
+      const endName = `end${name[0].toUpperCase()}${name.slice(1)}`;
+      geometry.setAttribute(endName, new InterleavedBufferAttribute(buffer, size, size));
+    }
+  }
+  return geometry;
+}
+
+/**
+ * Draw the first `count` nodes or edges
+ *
+ * @param {number} [verticesPerItem] - Of the 'points' layout: 1 per node, 2 per edge
+ */
+export function setDrawCount(geometry, count, verticesPerItem = 1) {
+  if (geometry.isInstancedBufferGeometry) {
+    geometry.instanceCount = count;
+  } else {
+    geometry.setDrawRange(0, count * verticesPerItem);
+  }
+}
+
+/**
+ * Two triangles with `corner` running -1..1 on both axes; the vertex
+ * shaders place and size them in screen space
+ */
+function createQuadGeometry() {
+  const geometry = new InstancedBufferGeometry();
+  geometry.setAttribute('corner', new BufferAttribute(new Float32Array([-1, -1, 1, -1, 1, 1, -1, 1]), 2));
+  geometry.setIndex([0, 1, 2, 0, 2, 3]);
+  geometry.instanceCount = 0;
+  return geometry;
+}
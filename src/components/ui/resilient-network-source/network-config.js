@@ -6,6 +6,13 @@ export const NETWORK_CONFIG = {
       targetNodeCount: 350,
       maxLinks: 500
     },
+    // Simulation and rendering in render-worker.js; quality stays fixed there
+    offscreen: {
+      maxNodes: 800,
+      nodeCount: 300,
+      targetNodeCount: 350,
+      maxLinks: 500
+    },
     baseline: {
       maxNodes: 200,
       nodeCount: 150,
@@ -23,7 +30,31 @@ export const NETWORK_CONFIG = {
   },
   edges: {
     utilizationSweepMs: 2000,
-    utilizationCullPercentile: 0.5
+    utilizationCullPercentile: 0.5,
+    // After each sweep, the next few cull candidates render as cooling
+    coolingCount: 6,
+    // Heatmap: every packet across a link heats it, heat halves every
+    // heatHalfLifeMs, and about heatScale recent packets read as hot
+    heatHalfLifeMs: 4000,
+    heatScale: 6,
+    opacityMin: 0.35,
+    opacityMax: 0.9
+  },
+  // Topology growth while evolving, run by GraphEngine on either tier
+  growth: {
+    // One node per interval until the tier's targetNodeCount
+    spawnIntervalMs: 200,
+    // A cluster drops in after this long without one (spawned or clicked),
+    // somewhere in a spreadX × spreadY box, while below maxNodes - clusterHeadroom
+    clusterIdleMs: 15000,
+    clusterSpreadX: 600,
+    clusterSpreadY: 250,
+    clusterHeadroom: 100,
+    // Above targetNodeCount × retireAboveRatio, one node retires per interval:
+    // the least used of retireSample random healthy nodes
+    retireAboveRatio: 1.5,
+    retireIntervalMs: 500,
+    retireSample: 12
   },
   packets: {
     maxPackets: 250,
@@ -31,7 +62,13 @@ export const NETWORK_CONFIG = {
     spawnChance: 0.25,
     speedMin: 0.02,
     speedMax: 0.05,
-    rerouteChance: 0.9,
+    routeAttempts: 4,
+    // 'shortest-path' | 'flooding' | 'gossip' | 'aodv' (see routing-strategies.js)
+    routing: 'shortest-path',
+    controlIntensity: 0.4,
+    flooding: { ttl: 8 },
+    gossip: { ttl: 8, probability: 0.55, fanoutHops: 1 },
+    aodv: { ttl: 10, routeLifetimeMs: 6000, discoveryTimeoutMs: 3000, maxBuffered: 6 },
     trailMax: 500,
     trailMaxAgeMin: 90,
     trailMaxAgeMax: 200,
@@ -39,27 +76,149 @@ export const NETWORK_CONFIG = {
     intensityMin: 1.0,
     intensityMax: 3.0
   },
+  camera: {
+    radius: 500,
+    minRadius: 60,
+    maxRadius: 1400,
+    minPolarAngle: 0.2,
+    maxPolarAngle: Math.PI - 0.2,
+    maxPan: 800,
+    damping: 0.15,
+    rotateSpeed: 0.005,   // Radians per dragged pixel
+    zoomSpeed: 0.0015,    // Per wheel pixel
+    autoOrbitSpeed: 0.08, // Radians per second
+    idleResumeMs: 6000,
+    focusRadius: 160,
+    fitPadding: 1.1,
+    flyMs: 900
+  },
+  interaction: {
+    // Minimum hit radius and edge hit distance, in CSS pixels
+    pickRadius: 6,
+    edgePickTolerance: 4
+  },
+  quality: {
+    enabled: true,
+    targetFrameMs: 16.7,
+    downgradeRatio: 1.3,   // Median frame interval above target × this steps down
+    upgradeRatio: 1.1,     // ...at or below target × this, with headroom, counts toward a step up
+    headroomRatio: 0.5,    // p90 main-thread frame cost must stay under target × this
+    windowMs: 2000,
+    upgradeWindows: 3,
+    warmupMs: 3000,
+    cooldownMs: 4000,
+    maxSampleMs: 250,
+    // Cheapest first. `scale` multiplies targetNodeCount, maxPackets, minPackets
+    // and trailMax; `tickMs` is the minimum time between simulation steps (0: every frame)
+    levels: [
+      { tier: 'baseline', scale: 0.5, pixelRatio: 1, tickMs: 50 },
+      { tier: 'baseline', scale: 1, pixelRatio: 1.5, tickMs: 33 },
+      { tier: 'enhanced', scale: 0.6, pixelRatio: 1.5, tickMs: 33 },
+      { tier: 'enhanced', scale: 1, pixelRatio: 2, tickMs: 0 }
+    ]
+  },
+  hud: {
+    enabled: false,
+    toggleKey: '`',          // null disables the shortcut
+    updateMs: 250,
+    deliveryWindowMs: 5000   // Span the live delivery ratio is measured over
+  },
+  // Categorical node and edge colors (see palette.js)
+  palette: {
+    // null keeps the theme color; 'cluster', another node field or 'meta.<field>' groups nodes
+    by: null,
+    colors: [0x7B7FCC, 0xE0777D, 0x5FB49C, 0xF2C14E, 0xC38FD9, 0xF29E4C, 0x8CC084, 0xE9A6C1],
+    assign: {},              // Group value -> fixed color
+    // Edges between groups run from one endpoint's color to the other's ('blend') or keep the theme color ('neutral')
+    crossEdges: 'blend',
+    edgeTint: 0.7            // How far edges move from the theme color toward their group colors
+  },
+  // Hierarchical edge bundling, run by GraphEngine (see edge-bundling.js): links
+  // between clusters curve through the cluster centroids and, across
+  // simulation.multiCenterCount centers, through the centers
+  bundling: {
+    enabled: false,
+    strength: 0.85           // 0 keeps links straight, 1 pulls them through every control point
+  },
+  // How nodes and edges are drawn (see mesh-geometry.js)
+  renderer: {
+    // 'points': point sprites and WebGL lines, always 1px wide whatever the
+    // pixel ratio. 'instanced': lit sphere sprites and quads of edgeWidth.
+    mode: 'points',
+    edgeWidth: 1.5,          // CSS pixels, instanced edges
+    edgeFeather: 1           // Anti-aliased fringe of instanced edges, in device pixels
+  },
   colors: {
     edge: 0x7B7FCC,
+    edgeHot: 0xF2A37B,
+    edgeCooling: 0x5C9FD6,
     packet: 0x7B7FCC,
     background: 0x242232
   },
+  // Used when the page doesn't set --ink-black, --bg-paper and --highlight-accent
+  theme: {
+    light: { edge: 0x4A4D9C, packet: 0x5B3FD6, background: 0xF5F3FF },  // Overrides `colors` in the light theme
+    transitionMs: 600        // Color tween on a themechange event
+  },
   simulation: {
     chargeStrength: -25,
     linkDistance: 35,
     linkStrength: 0.8,
     centerStrength: 0.015,
     multiCenterCount: 2,
-    multiCenterRadius: 40
+    multiCenterRadius: 40,
+    tickMs: 33,
+    // Temporary alphaTarget (and how long it holds) while the layout absorbs
+    // a rewired link or a grown node; it cools back to 0 afterwards
+    rewireAlphaTarget: 0.08,
+    rewireWarmMs: 100,
+    growthAlphaTarget: 0.2,
+    growthWarmMs: 1000
   },
+  // Still poster in place of the animation (see ResilientNetwork#setReducedMotion)
+  reducedMotion: {
+    enabled: 'auto',         // true, false, or 'auto' to follow prefers-reduced-motion
+    maxTicks: 300,           // Layout steps run offscreen before the still frame
+    alphaMin: 0.02           // ...or fewer, once the layout has cooled this far
+  },
+  worker: {
+    // Share frame buffers with the physics worker when the page is
+    // cross-origin isolated; otherwise frames are transferred per request
+    sharedMemory: true,
+    // Tick interval of the free-running worker in shared mode
+    freeRunMs: 16
+  },
+  // Seed for the shared PRNG; null keeps Math.random and wall-clock timing
+  seed: null
 };
 
 export function lerp(min, max, t) {
   return min + (max - min) * t;
 }
 
-export function randomBetween(min, max) {
-  return lerp(min, max, Math.random());
+/**
+ * Seedable PRNG (mulberry32) with the Math.random contract.
+ * Without a seed this is Math.random itself.
+ *
+ * @param {number|string|null} [seed]
+ * @returns {() => number}
+ */
+export function createRandom(seed) {
+  if (seed === undefined || seed === null) return Math.random;
+  let state = typeof seed === 'number' && Number.isFinite(seed)
+    ? seed >>> 0
+    : hashString(String(seed));
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomBetween(min, max, random = Math.random) {
+  return lerp(min, max, random());
 }
 
 export function hashString(value) {
@@ -109,3 +268,171 @@ export function mergeConfig(baseConfig, updates = {}) {
   }
   return merged;
 }
+
+/**
+ * Order-independent key for the edge between two nodes (or node IDs).
+ * IDs are compared as strings so mixed numeric/string IDs still agree.
+ */
+export function buildEdgeKey(source, target) {
+  const sourceId = source && source.id !== undefined ? source.id : source;
+  const targetId = target && target.id !== undefined ? target.id : target;
+  if (sourceId === undefined || targetId === undefined) return null;
+  const a = String(sourceId);
+  const b = String(targetId);
+  return a < b ? `${a}-${b}` : `${b}-${a}`;
+}
+
+/**
+ * Whether a link is down, either directly or because an endpoint failed.
+ *
+ * @param {Object} link
+ * @param {Set} failedNodeIds
+ * @param {Set<string>} failedLinkKeys - Keys from buildEdgeKey()
+ */
+export function isLinkFailed(link, failedNodeIds, failedLinkKeys) {
+  if (failedNodeIds.size === 0 && failedLinkKeys.size === 0) return false;
+  const sourceId = link.source?.id ?? link.source;
+  const targetId = link.target?.id ?? link.target;
+  return failedNodeIds.has(sourceId) ||
+    failedNodeIds.has(targetId) ||
+    failedLinkKeys.has(buildEdgeKey(sourceId, targetId));
+}
+
+const GRAPH_NODE_FIELDS = new Set(['id', 'cluster', 'size', 'x', 'y', 'z', 'meta']);
+const GRAPH_LINK_FIELDS = new Set(['source', 'target', 'utilizedCount', 'weight', 'meta']);
+
+function collectMeta(item, knownFields) {
+  const meta = { ...(item.meta || {}) };
+  for (const [key, value] of Object.entries(item)) {
+    if (!knownFields.has(key)) meta[key] = value;
+  }
+  return meta;
+}
+
+function toFiniteNumber(value) {
+  const numeric = typeof value === 'string' ? Number(value) : value;
+  return typeof numeric === 'number' && Number.isFinite(numeric) ? numeric : undefined;
+}
+
+/**
+ * Normalize a caller-supplied topology into the node/link shape used by
+ * both the baseline simulation and the physics worker.
+ *
+ * Nodes need a stable `id`; `cluster`, `size` and `x/y/z` are optional and
+ * any other fields end up in `meta`. Links reference node IDs and are
+ * dropped when they dangle, loop or duplicate an existing edge.
+ */
+export function normalizeGraph(graph, options = {}) {
+  if (!graph || !Array.isArray(graph.nodes)) {
+    throw new TypeError('Graph must be an object with a nodes array');
+  }
+
+  const maxNodes = options.maxNodes ?? Infinity;
+  const maxLinks = options.maxLinks ?? Infinity;
+  const nodeConfig = options.nodes || NETWORK_CONFIG.nodes;
+  const random = options.random || Math.random;
+
+  if (graph.nodes.length > maxNodes) {
+    console.warn(`Graph has ${graph.nodes.length} nodes, keeping the first ${maxNodes}`);
+  }
+
+  const nodes = [];
+  const nodeIds = new Set();
+  const clusterOrigins = new Map();
+
+  for (const input of graph.nodes.slice(0, maxNodes)) {
+    const id = input?.id;
+    if (id === undefined || id === null) {
+      throw new TypeError('Every graph node needs an id');
+    }
+    if (nodeIds.has(id)) {
+      throw new Error(`Duplicate graph node id: ${id}`);
+    }
+    nodeIds.add(id);
+
+    const cluster = input.cluster ?? undefined;
+    let origin = clusterOrigins.get(cluster);
+    if (!origin) {
+      origin = {
+        x: (random() - 0.5) * 800,
+        y: (random() - 0.5) * 400,
+        z: (random() - 0.5) * 200
+      };
+      clusterOrigins.set(cluster, origin);
+    }
+
+    nodes.push({
+      id,
+      x: toFiniteNumber(input.x) ?? origin.x + (random() - 0.5) * 120,
+      y: toFiniteNumber(input.y) ?? origin.y + (random() - 0.5) * 120,
+      z: toFiniteNumber(input.z) ?? origin.z + (random() - 0.5) * 120,
+      vx: 0, vy: 0, vz: 0,
+      size: toFiniteNumber(input.size) ?? randomBetween(nodeConfig.sizeMin, nodeConfig.sizeMax, random),
+      cluster,
+      meta: collectMeta(input, GRAPH_NODE_FIELDS)
+    });
+  }
+
+  const links = [];
+  const linkKeys = new Set();
+  let dropped = 0;
+
+  for (const input of graph.links || []) {
+    const source = input?.source?.id ?? input?.source;
+    const target = input?.target?.id ?? input?.target;
+    const key = buildEdgeKey(source, target);
+    if (!nodeIds.has(source) || !nodeIds.has(target) || source === target || linkKeys.has(key)) {
+      dropped++;
+      continue;
+    }
+    if (links.length >= maxLinks) {
+      dropped++;
+      continue;
+    }
+    linkKeys.add(key);
+
+    const link = {
+      source,
+      target,
+      utilizedCount: toFiniteNumber(input.utilizedCount) ?? 0,
+      meta: collectMeta(input, GRAPH_LINK_FIELDS)
+    };
+    const weight = toFiniteNumber(input.weight);
+    if (weight !== undefined) link.weight = weight;
+    links.push(link);
+  }
+
+  if (dropped > 0) {
+    console.warn(`Dropped ${dropped} graph links (dangling, duplicate, self-loop or over capacity)`);
+  }
+
+  return { nodes, links };
+}
+
+/**
+ * Plain-object copy of a live node/link set, with link endpoints as IDs.
+ * Used for worker snapshots and topology export.
+ */
+export function snapshotGraph(nodes, links) {
+  return {
+    nodes: nodes.map(n => ({
+      id: n.id,
+      cluster: n.cluster,
+      size: n.size,
+      x: n.x,
+      y: n.y,
+      z: n.z,
+      meta: n.meta || {}
+    })),
+    links: links.map(l => {
+      const link = {
+        source: l.source?.id ?? l.source,
+        target: l.target?.id ?? l.target,
+        utilizedCount: l.utilizedCount || 0,
+        meta: l.meta || {}
+      };
+      if (l.weight !== undefined) link.weight = l.weight;
+      return link;
+    })
+  };
+}
@@ -1,15 +1,51 @@
     uniform vec3 color;
     uniform float time;
+    uniform float highlightActive;
     varying float vAlpha;
     varying float vDepth;
+    varying float vFailed;
+    varying float vHighlight;
+    varying vec3 vGroupColor;
+    varying float vGrouped;
+    #ifdef INSTANCED
+    varying vec2 vCorner;
+    
+    const vec3 lightDirection = vec3(-0.39, 0.59, 0.71);
+    #endif
     
     void main() {
+      #ifdef INSTANCED
+      vec2 coord = vCorner * 0.5;
+      #else
       vec2 coord = gl_PointCoord - vec2(0.5);
+      #endif
       float dist = length(coord);
       if (dist > 0.5) discard;
       
+      #ifdef INSTANCED
+      // A lit sphere with a one-pixel anti-aliased rim
+      float strength = 1.0 - smoothstep(0.5 - fwidth(dist), 0.5, dist);
+      vec3 normal = vec3(coord * 2.0, sqrt(max(0.0, 1.0 - 4.0 * dist * dist)));
+      float diffuse = 0.4 + 0.6 * max(dot(normal, lightDirection), 0.0);
+      float specular = pow(max(dot(reflect(-lightDirection, normal), vec3(0.0, 0.0, 1.0)), 0.0), 24.0);
+      #else
       float strength = 1.0 - smoothstep(0.3, 0.5, dist);
+      #endif
+      
+      // Failed nodes render as a dim, desaturated ring
+      float ring = smoothstep(0.2, 0.3, dist);
+      strength *= mix(1.0, ring * 0.45, vFailed);
+      // Grouped nodes wear their palette color (see palette.js)
+      vec3 baseColor = mix(color, vGroupColor, vGrouped);
+      vec3 gray = vec3(dot(baseColor, vec3(0.299, 0.587, 0.114)));
+      vec3 nodeColor = mix(baseColor, gray, vFailed * 0.8);
+      #ifdef INSTANCED
+      nodeColor = nodeColor * diffuse + specular * 0.4 * (1.0 - vFailed);
+      #endif
+      
+      // While a node is hovered, everything outside its neighborhood fades back
+      float focus = mix(1.0, mix(0.2, 1.0, step(0.25, vHighlight)), highlightActive);
       
       float depthFade = 1.0 - vDepth * 0.5;
-      gl_FragColor = vec4(color, vAlpha * strength * depthFade);
+      gl_FragColor = vec4(nodeColor, vAlpha * strength * depthFade * focus);
     }
@@ -0,0 +1,34 @@
+    attribute vec2 corner;
+    attribute float size;
+    attribute float alpha;
+    attribute float failed;
+    attribute float highlight;
+    attribute vec3 groupColor;
+    attribute float grouped;
+    uniform vec2 resolution;
+    uniform float pixelRatio;
+    varying vec2 vCorner;
+    varying float vAlpha;
+    varying float vFailed;
+    varying float vHighlight;
+    varying float vDepth;
+    varying vec3 vGroupColor;
+    varying float vGrouped;
+    
+    void main() {
+      vCorner = corner;
+      vAlpha = alpha;
+      vGroupColor = groupColor;
+      vGrouped = grouped;
+      vFailed = failed;
+      vHighlight = highlight;
+      vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+      vDepth = clamp(-mvPosition.z / 600.0, 0.0, 1.0);
+      
+      // The point sprites' size, in CSS pixels rather than device pixels and
+      // with no driver cap; the hovered node grows a little
+      float hoverScale = 1.0 + 0.5 * step(0.75, highlight);
+      float diameter = size * hoverScale * (500.0 / -mvPosition.z) * pixelRatio;
+      gl_Position = projectionMatrix * mvPosition;
+      gl_Position.xy += corner * diameter / resolution * gl_Position.w;
+    }
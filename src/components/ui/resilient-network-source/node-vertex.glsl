@@ -1,13 +1,27 @@
     attribute float size;
     attribute float alpha;
+    attribute float failed;
+    attribute float highlight;
+    attribute vec3 groupColor;
+    attribute float grouped;
     varying float vAlpha;
+    varying float vFailed;
+    varying float vHighlight;
     varying float vDepth;
+    varying vec3 vGroupColor;
+    varying float vGrouped;
     
     void main() {
       vAlpha = alpha;
+      vGroupColor = groupColor;
+      vGrouped = grouped;
+      vFailed = failed;
+      vHighlight = highlight;
       vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
       vDepth = clamp(-mvPosition.z / 600.0, 0.0, 1.0);
       
-      gl_PointSize = size * (500.0 / -mvPosition.z);
+      // The hovered node grows a little
+      float hoverScale = 1.0 + 0.5 * step(0.75, highlight);
+      gl_PointSize = size * hoverScale * (500.0 / -mvPosition.z);
       gl_Position = projectionMatrix * mvPosition;
     }
@@ -0,0 +1,268 @@
+/**
+ * Page side of the offscreen tier. The canvas is transferred to
+ * render-worker.js, which runs a ResilientNetwork of its own (simulation,
+ * packets and Three.js rendering) off the main thread. All this side does is
+ * forward size, visibility, theme, the reduced-motion preference and pointer
+ * input, and relay method calls and events.
+ */
+
+// ResilientNetwork methods that run in the render worker on the offscreen
+// tier; the page-side instance forwards them and they return promises
+export const OFFSCREEN_METHODS = [
+  'setGraph',
+  'getGraphSnapshot',
+  'removeNodes',
+  'removeLinks',
+  'resetGraph',
+  'exportGraph',
+  'importGraph',
+  'failNode',
+  'failLink',
+  'failRegion',
+  'restore',
+  'setRoutingStrategy',
+  'getRoutingStats',
+  'setPalette',
+  'setBundling',
+  'setReducedMotion',
+  'focusNode',
+  'fitToGraph',
+  'pick'
+];
+
+const INPUT_EVENTS = ['pointerdown', 'pointermove', 'pointerup', 'pointercancel', 'pointerleave', 'click', 'wheel', 'contextmenu'];
+
+/**
+ * Whether a worker can render WebGL2 (what Three.js needs) into a
+ * transferred canvas. OffscreenCanvas shipped before its WebGL support in
+ * some browsers, so this asks for a context rather than checking the API.
+ */
+export function canRenderOffscreen() {
+  if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') return false;
+  if (typeof HTMLCanvasElement === 'undefined' || !('transferControlToOffscreen' in HTMLCanvasElement.prototype)) {
+    return false;
+  }
+  try {
+    const gl = new OffscreenCanvas(1, 1).getContext('webgl2');
+    gl?.getExtension('WEBGL_lose_context')?.loseContext();
+    return !!gl;
+  } catch {
+    return false;
+  }
+}
+
+export class OffscreenTier {
+  /**
+   * @param {HTMLElement} container
+   * @param {Object} handlers
+   * @param {(type: string, detail: Object) => void} handlers.onEvent - Network events from the worker
+   * @param {(diagnostics: Object) => void} [handlers.onDiagnostics] - See ResilientNetwork#getDiagnostics
+   * @param {(theme?: string) => Object} handlers.readThemeColors - See ResilientNetwork#readThemeColors
+   */
+  constructor(container, handlers) {
+    this.container = container;
+    this.handlers = handlers;
+    this.canvas = null;
+    this.worker = null;
+    this.started = false;
+    this.diagnostics = null;
+    this.requests = new Map();  // requestId -> { resolve, reject }
+    this.nextRequestId = 1;
+    this.isVisible = true;
+    this.interactive = false;
+    this.motionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)') ?? null;
+
+    this.handleResize = () => this.post({ type: 'resize', ...this.measure() });
+    this.handleVisibility = () => this.postVisibility();
+    this.handleTheme = (event) => {
+      this.post({ type: 'theme', colors: this.handlers.readThemeColors(event.detail?.theme) });
+    };
+    this.handleMotion = () => this.post({ type: 'motion', matches: this.motionQuery.matches });
+    this.handleInput = (event) => this.forwardInput(event);
+  }
+
+  /**
+   * Transfer a fresh canvas to the render worker and start the network there
+   *
+   * @param {Object} options - ResilientNetwork init options (structured-cloneable)
+   * @returns {Promise<boolean>} false when the worker couldn't render; the
+   *   canvas is removed again and the caller falls back to another tier
+   */
+  start(options) {
+    this.interactive = !!options.interactive;
+    this.canvas = document.createElement('canvas');
+    Object.assign(this.canvas.style, { display: 'block', width: '100%', height: '100%' });
+    this.container.appendChild(this.canvas);
+    const offscreen = this.canvas.transferControlToOffscreen();
+
+    return new Promise((resolve) => {
+      const fail = (error) => {
+        console.warn('Offscreen renderer unavailable, rendering on the main thread:', error);
+        this.destroy();
+        resolve(false);
+      };
+      try {
+        this.worker = new Worker(new URL('./render-worker.js', import.meta.url), { type: 'module' });
+      } catch (error) {
+        fail(error);
+        return;
+      }
+      this.worker.onerror = (event) => {
+        if (this.started) {
+          this.handlers.onEvent('error', { error: event.message, source: 'offscreen' });
+        } else {
+          fail(event.message);
+        }
+      };
+      this.worker.onmessage = (event) => {
+        const data = event.data;
+        if (data.type === 'started') {
+          this.started = true;
+          this.attach();
+          resolve(true);
+        } else if (data.type === 'failed') {
+          fail(data.error);
+        } else {
+          this.handleMessage(data);
+        }
+      };
+      this.worker.postMessage({
+        type: 'init',
+        canvas: offscreen,
+        ...this.measure(),
+        visible: this.isVisible,
+        pageVisible: !document.hidden,
+        reducedMotion: !!this.motionQuery?.matches,
+        options
+      }, [offscreen]);
+    });
+  }
+
+  handleMessage(data) {
+    switch (data.type) {
+      case 'event':
+        this.handlers.onEvent(data.name, data.detail);
+        break;
+      case 'diagnostics':
+        this.diagnostics = data.diagnostics;
+        this.handlers.onDiagnostics?.(data.diagnostics);
+        break;
+      case 'cursor':
+        this.canvas.style.cursor = data.value;
+        break;
+      case 'reply': {
+        const request = this.requests.get(data.requestId);
+        if (!request) break;
+        this.requests.delete(data.requestId);
+        if (data.ok) {
+          request.resolve(data.result);
+        } else {
+          request.reject(new Error(data.error));
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Call a ResilientNetwork method (see OFFSCREEN_METHODS) in the worker
+   *
+   * @returns {Promise<*>} Its return value, or its error
+   */
+  call(method, args) {
+    if (!this.worker) return Promise.reject(new Error('Offscreen renderer stopped'));
+    return new Promise((resolve, reject) => {
+      const requestId = this.nextRequestId++;
+      this.requests.set(requestId, { resolve, reject });
+      this.worker.postMessage({ type: 'call', requestId, method, args });
+    });
+  }
+
+  post(message) {
+    this.worker?.postMessage(message);
+  }
+
+  /**
+   * Container size and viewport offset, in CSS pixels
+   */
+  measure() {
+    const rect = this.container.getBoundingClientRect();
+    return {
+      width: this.container.clientWidth,
+      height: this.container.clientHeight,
+      left: rect.left,
+      top: rect.top,
+      devicePixelRatio: window.devicePixelRatio || 1
+    };
+  }
+
+  postVisibility() {
+    this.post({ type: 'visibility', visible: this.isVisible, pageVisible: !document.hidden });
+  }
+
+  attach() {
+    if ('IntersectionObserver' in window) {
+      this.observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          this.isVisible = entry.isIntersecting;
+        });
+        this.postVisibility();
+      }, { threshold: 0.1 });
+      this.observer.observe(this.container);
+    }
+    document.addEventListener('visibilitychange', this.handleVisibility);
+    window.addEventListener('resize', this.handleResize);
+    document.addEventListener('themechange', this.handleTheme);
+    this.motionQuery?.addEventListener('change', this.handleMotion);
+
+    if (this.interactive) {
+      this.canvas.style.touchAction = 'none';
+      for (const type of INPUT_EVENTS) {
+        this.canvas.addEventListener(type, this.handleInput, type === 'wheel' ? { passive: false } : undefined);
+      }
+    }
+  }
+
+  /**
+   * Pass a pointer event on as the fields the camera and picking read,
+   * with the canvas position it happened at
+   */
+  forwardInput(event) {
+    // The worker's copy of the event can't prevent anything
+    if (event.type === 'wheel' || event.type === 'contextmenu') event.preventDefault();
+    if (event.type === 'pointerdown') this.canvas.setPointerCapture?.(event.pointerId);
+    const rect = this.canvas.getBoundingClientRect();
+    this.post({
+      type: 'input',
+      left: rect.left,
+      top: rect.top,
+      event: {
+        type: event.type,
+        clientX: event.clientX,
+        clientY: event.clientY,
+        pointerId: event.pointerId,
+        button: event.button,
+        shiftKey: event.shiftKey,
+        deltaY: event.deltaY,
+        deltaMode: event.deltaMode
+      }
+    });
+  }
+
+  destroy() {
+    this.observer?.disconnect();
+    this.observer = null;
+    document.removeEventListener('visibilitychange', this.handleVisibility);
+    window.removeEventListener('resize', this.handleResize);
+    document.removeEventListener('themechange', this.handleTheme);
+    this.motionQuery?.removeEventListener('change', this.handleMotion);
+    this.worker?.terminate();
+    this.worker = null;
+    this.canvas?.remove();
+    this.canvas = null;
+    for (const request of this.requests.values()) {
+      request.reject(new Error('Offscreen renderer stopped before it replied'));
+    }
+    this.requests.clear();
+  }
+}
@@ -0,0 +1,380 @@
+/**
+ * Packet traffic over a GraphEngine: spawning, movement along edges,
+ * arrivals handed to the routing strategy, rerouting around failures,
+ * utilization counting and trail afterglow.
+ *
+ * It runs next to the graph engine (main thread on the baseline tier, the
+ * physics worker on the enhanced tier). The renderer only reads the flat
+ * buffers pack() fills, laid out per packet / trail point as:
+ *
+ *   packets     Float32 × PACKET_FLOATS  x, y, z, intensity, progress
+ *   packetInfo  Int32 × PACKET_INTS      id, source, target, destination, kind
+ *   trails      Float32 × TRAIL_FLOATS   x, y, z, alpha, size, dirX, dirY
+ *
+ * Endpoints are node indices (-1 when unknown) and `kind` indexes PACKET_KINDS.
+ */
+
+import { buildEdgeKey, randomBetween } from './network-config.js';
+import { createRoutingStrategy } from './routing-strategies.js';
+
+export const PACKET_FLOATS = 5;
+export const PACKET_INTS = 5;
+export const TRAIL_FLOATS = 7;
+export const PACKET_KINDS = ['data', 'control'];
+
+const position = {};  // GraphEngine#pointAlong result
+
+/**
+ * Plain description of a packet for events and inspection
+ */
+export function describePacket(p) {
+  return {
+    source: p.source.id,
+    target: p.target.id,
+    destination: p.destination,
+    kind: p.kind,
+    progress: p.progress ?? 0
+  };
+}
+
+/**
+ * Empty buffers for pack(), sized for `packets` packets and `trails` trail points
+ */
+export function createPacketBuffers(packets, trails) {
+  return {
+    packets: new Float32Array(packets * PACKET_FLOATS),
+    packetInfo: new Int32Array(packets * PACKET_INTS),
+    trails: new Float32Array(trails * TRAIL_FLOATS)
+  };
+}
+
+export class PacketEngine {
+  /**
+   * @param {import('./graph-engine.js').GraphEngine} graph - Topology, failures,
+   *   randomness, clock and settings (graph.config.packets)
+   * @param {Object} [options]
+   * @param {string} [options.routing] - Strategy name (default: settings.routing)
+   * @param {Object} [options.stats] - Counters to continue from when they belong to the same strategy
+   * @param {(packet: Object) => void} [options.onDelivered] - Data packet reached its destination
+   * @param {(packet: Object, reason: string) => void} [options.onDropped] - Data packet lost
+   */
+  constructor(graph, options = {}) {
+    this.graph = graph;
+    this.onDelivered = options.onDelivered ?? null;
+    this.onDropped = options.onDropped ?? null;
+    this.packets = [];
+    this.trails = [];
+    this.nextPacketId = 1;
+    this.setRoutingStrategy(options.routing ?? this.settings.routing);
+    if (options.stats?.strategy === this.stats.strategy) {
+      Object.assign(this.stats, options.stats);
+    }
+  }
+
+  get settings() {
+    return this.graph.config.packets;
+  }
+
+  /**
+   * Switch routing strategy. Packets in flight are discarded so the new
+   * protocol starts from a clean network, and the counters restart.
+   *
+   * @returns {string} The strategy name in effect (unknown names fall back)
+   */
+  setRoutingStrategy(name) {
+    this.routing = createRoutingStrategy(name, {
+      getAdjacency: () => this.graph.getAdjacency(),
+      random: () => this.graph.random(),
+      now: () => this.graph.now(),
+      settings: () => this.settings,
+      dropHeld: (nodeId, destinationId, count, reason) => {
+        const held = this.hopPacket({ from: nodeId, to: nodeId, destination: destinationId, kind: 'data' });
+        for (let i = 0; i < count; i++) this.recordDrop(held, reason);
+      }
+    });
+    this.stats = {
+      strategy: this.routing.name,
+      originated: 0,
+      delivered: 0,
+      dropped: 0,
+      transmissions: 0,
+      controlTransmissions: 0
+    };
+    this.packets = [];
+    return this.routing.name;
+  }
+
+  /**
+   * Forget all traffic (new topology); undelivered packets count as removed
+   */
+  reset() {
+    for (const p of this.packets) this.discardPacket(p, 'removed');
+    this.packets = [];
+    this.trails = [];
+    this.routing.reset();
+  }
+
+  /**
+   * Spawn, move and age packets and trails by one step
+   */
+  step() {
+    const minPackets = this.settings.minPackets || 0;
+    for (let i = this.packets.length; i < minPackets; i++) {
+      this.spawnPacket();
+    }
+    if (this.graph.random() < this.settings.spawnChance) this.spawnPacket();
+    this.updatePackets();
+    this.routing.expire();
+    this.ageTrails();
+  }
+
+  spawnPacket() {
+    const { nodes } = this.graph;
+    const random = this.graph.random;
+    if (this.packets.length >= this.settings.maxPackets) return;
+    if (nodes.length < 2) return;
+
+    const adjacency = this.graph.getAdjacency();
+    if (adjacency.size < 2) return;
+
+    // Pick a connected source and a destination the strategy will accept
+    for (let attempt = 0; attempt < this.settings.routeAttempts; attempt++) {
+      const sourceNode = nodes[Math.floor(random() * nodes.length)];
+      const destinationNode = nodes[Math.floor(random() * nodes.length)];
+      if (!sourceNode || !destinationNode || sourceNode === destinationNode) continue;
+      if (!adjacency.has(sourceNode.id) || !adjacency.has(destinationNode.id)) continue;
+
+      const hops = this.routing.originate(sourceNode.id, destinationNode.id);
+      if (!hops) continue;
+
+      this.stats.originated++;
+      this.launchPackets(hops, null);
+      return;
+    }
+  }
+
+  /**
+   * Put a packet on the wire for each hop a strategy asked for. Copies of
+   * the same kind keep their parent's look; hops past capacity are lost.
+   */
+  launchPackets(hops, parent) {
+    const settings = this.settings;
+    const random = this.graph.random;
+    for (const hop of hops) {
+      const source = this.graph.getNode(hop.from);
+      const target = this.graph.getNode(hop.to);
+      if (!source || !target) {
+        this.discardPacket(this.hopPacket(hop), 'removed');
+        continue;
+      }
+
+      if (this.packets.length >= settings.maxPackets) {
+        this.discardPacket({ ...hop, source, target }, 'congestion');
+        continue;
+      }
+
+      const inherit = parent && parent.kind === hop.kind;
+      const intensity = inherit
+        ? parent.intensity
+        : randomBetween(settings.intensityMin, settings.intensityMax, random) *
+          (hop.kind === 'control' ? settings.controlIntensity : 1);
+
+      this.packets.push({
+        id: this.nextPacketId++,
+        source,
+        target,
+        destination: hop.destination,
+        kind: hop.kind,
+        route: hop.route,
+        progress: 0,
+        speed: inherit
+          ? parent.speed
+          : randomBetween(settings.speedMin, settings.speedMax, random),
+        intensity
+      });
+
+      this.stats.transmissions++;
+      if (hop.kind === 'control') this.stats.controlTransmissions++;
+    }
+  }
+
+  /**
+   * Count a lost data packet and report it. `reason` is 'unreachable'
+   * (no route, route discovery timed out, or every broadcast copy died
+   * out), 'failure' (stranded by a failed node), 'removed' (a node it
+   * needed left the graph) or 'congestion' (no packet capacity left).
+   */
+  recordDrop(p, reason) {
+    if (p.kind !== 'data') return;
+    this.stats.dropped++;
+    this.onDropped?.(p, reason);
+  }
+
+  /**
+   * Take a packet off the wire without it arriving. A broadcast copy is
+   * only a drop when it was its message's last one (see the strategy's lose()).
+   */
+  discardPacket(p, reason) {
+    if (p.kind === 'data' && this.routing.lose(p)) this.recordDrop(p, reason);
+  }
+
+  /**
+   * A packet-shaped description of a hop, for endpoints that may have left the graph
+   */
+  hopPacket(hop) {
+    return {
+      ...hop,
+      source: this.graph.getNode(hop.from) ?? { id: hop.from },
+      target: this.graph.getNode(hop.to) ?? { id: hop.to }
+    };
+  }
+
+  updatePackets() {
+    const utilizedEdgeKeys = [];
+
+    // Arrivals are collected first so hops launched this step start at progress 0
+    const arrived = [];
+    let kept = 0;
+    for (const p of this.packets) {
+      p.progress += p.speed;
+      if (p.progress >= 1) {
+        arrived.push(p);
+      } else {
+        this.packets[kept++] = p;
+      }
+    }
+    this.packets.length = kept;
+
+    for (const p of arrived) {
+      // A packet turned back by a failure didn't deliver anything over its edge
+      if (!p.returning) utilizedEdgeKeys.push(buildEdgeKey(p.source, p.target));
+
+      const { status, hops } = this.routing.arrive(p, p.target.id, p.returning ? null : p.source.id);
+      if (p.kind === 'data' && status === 'delivered') {
+        this.stats.delivered++;
+        this.onDelivered?.(p);
+      } else if (status === 'dropped') {
+        this.recordDrop(p, 'unreachable');
+      }
+      this.launchPackets(hops, p);
+    }
+
+    if (utilizedEdgeKeys.length > 0) {
+      this.graph.registerUtilization(utilizedEdgeKeys);
+    }
+
+    // Every packet leaves an afterglow point where it is now, streaked along its (possibly bundled) path
+    const settings = this.settings;
+    for (const p of this.packets) {
+      if (this.trails.length >= settings.trailMax) break;
+      const { x, y, z, dx, dy } = this.graph.pointAlong(p.source, p.target, p.progress, position);
+      const dirLen = Math.max(0.0001, Math.hypot(dx, dy));
+      this.trails.push({
+        x,
+        y,
+        z,
+        age: 0,
+        maxAge: randomBetween(settings.trailMaxAgeMin, settings.trailMaxAgeMax, this.graph.random),
+        size: 6.0 + this.graph.random() * 4.0,
+        dirX: dx / dirLen,
+        dirY: dy / dirLen
+      });
+    }
+  }
+
+  ageTrails() {
+    let kept = 0;
+    for (const t of this.trails) {
+      t.age++;
+      if (t.age <= t.maxAge) this.trails[kept++] = t;
+    }
+    this.trails.length = kept;
+  }
+
+  /**
+   * Packets on a dead link turn back to the node they came from, where the
+   * routing strategy decides what to do next; packets stranded on dead
+   * nodes are dropped. Call after the graph's failures change.
+   */
+  rerouteAroundFailures() {
+    const { failedNodeIds, failedLinkKeys } = this.graph;
+    let kept = 0;
+    for (const p of this.packets) {
+      if (failedNodeIds.has(p.destination) || failedNodeIds.has(p.source.id)) {
+        this.discardPacket(p, 'failure');
+        continue;
+      }
+      this.packets[kept++] = p;
+      if (!failedNodeIds.has(p.target.id) && !failedLinkKeys.has(buildEdgeKey(p.source, p.target))) {
+        continue;
+      }
+
+      const origin = p.source;
+      p.source = p.target;
+      p.target = origin;
+      p.progress = 1 - p.progress;
+      p.returning = true;
+    }
+    this.packets.length = kept;
+  }
+
+  /**
+   * Drop packets to, from or headed for nodes that left the graph
+   */
+  forgetNodes(ids) {
+    const removed = new Set(ids);
+    let kept = 0;
+    for (const p of this.packets) {
+      if (removed.has(p.source.id) || removed.has(p.target.id) || removed.has(p.destination)) {
+        this.discardPacket(p, 'removed');
+        continue;
+      }
+      this.packets[kept++] = p;
+    }
+    this.packets.length = kept;
+  }
+
+  /**
+   * Write packets and trails into createPacketBuffers() arrays, up to their capacity.
+   *
+   * @returns {{ packetCount: number, trailCount: number }}
+   */
+  pack(buffers) {
+    const packetCount = Math.min(this.packets.length, buffers.packetInfo.length / PACKET_INTS);
+    for (let i = 0; i < packetCount; i++) {
+      const p = this.packets[i];
+      const f = i * PACKET_FLOATS;
+      const t = p.progress;
+      this.graph.pointAlong(p.source, p.target, t, position);
+      buffers.packets[f] = position.x;
+      buffers.packets[f + 1] = position.y;
+      buffers.packets[f + 2] = position.z;
+      buffers.packets[f + 3] = p.intensity;
+      buffers.packets[f + 4] = t;
+
+      const n = i * PACKET_INTS;
+      buffers.packetInfo[n] = p.id;
+      buffers.packetInfo[n + 1] = p.source.index ?? -1;
+      buffers.packetInfo[n + 2] = p.target.index ?? -1;
+      buffers.packetInfo[n + 3] = this.graph.getNode(p.destination)?.index ?? -1;
+      buffers.packetInfo[n + 4] = PACKET_KINDS.indexOf(p.kind);
+    }
+
+    const trailCount = Math.min(this.trails.length, buffers.trails.length / TRAIL_FLOATS);
+    for (let i = 0; i < trailCount; i++) {
+      const trail = this.trails[i];
+      const f = i * TRAIL_FLOATS;
+      // Fade out with age; the quadratic falloff is smoother, the growing size keeps a longer tail
+      const life = 1.0 - (trail.age / trail.maxAge);
+      buffers.trails[f] = trail.x;
+      buffers.trails[f + 1] = trail.y;
+      buffers.trails[f + 2] = trail.z;
+      buffers.trails[f + 3] = life * life;
+      buffers.trails[f + 4] = trail.size * (0.6 + life * 0.8);
+      buffers.trails[f + 5] = trail.dirX;
+      buffers.trails[f + 6] = trail.dirY;
+    }
+
+    return { packetCount, trailCount };
+  }
+}
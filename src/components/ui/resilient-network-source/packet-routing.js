@@ -0,0 +1,110 @@
+/**
+ * Path finding for packet routing over the live link set.
+ *
+ * Links are treated as undirected; `link.weight` (default 1) is the hop cost.
+ */
+
+function endpointId(endpoint) {
+  return endpoint && endpoint.id !== undefined ? endpoint.id : endpoint;
+}
+
+export function linkCost(link) {
+  const weight = link.weight;
+  return typeof weight === 'number' && Number.isFinite(weight) && weight > 0 ? weight : 1;
+}
+
+/**
+ * Build node ID -> [{ id, cost }] neighbor lists from links.
+ *
+ * @param {Iterable<Object>} links
+ * @returns {Map<string|number, Array<{ id: string|number, cost: number }>>}
+ */
+export function buildAdjacency(links) {
+  const adjacency = new Map();
+  const connect = (from, to, cost) => {
+    let neighbors = adjacency.get(from);
+    if (!neighbors) {
+      neighbors = [];
+      adjacency.set(from, neighbors);
+    }
+    neighbors.push({ id: to, cost });
+  };
+  for (const link of links) {
+    const sourceId = endpointId(link.source);
+    const targetId = endpointId(link.target);
+    if (sourceId === undefined || targetId === undefined || sourceId === targetId) continue;
+    const cost = linkCost(link);
+    connect(sourceId, targetId, cost);
+    connect(targetId, sourceId, cost);
+  }
+  return adjacency;
+}
+
+/**
+ * Cheapest path between two nodes (Dijkstra with a binary heap).
+ *
+ * @returns {Array<string|number>|null} Node IDs from source to destination, or null when unreachable
+ */
+export function findPath(adjacency, sourceId, destinationId) {
+  if (sourceId === destinationId) return [sourceId];
+  if (!adjacency.has(sourceId) || !adjacency.has(destinationId)) return null;
+
+  const distance = new Map([[sourceId, 0]]);
+  const previous = new Map();
+  const heap = [{ id: sourceId, cost: 0 }];
+
+  const push = (entry) => {
+    heap.push(entry);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent].cost <= heap[i].cost) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  };
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < heap.length && heap[left].cost < heap[smallest].cost) smallest = left;
+        if (right < heap.length && heap[right].cost < heap[smallest].cost) smallest = right;
+        if (smallest === i) break;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  };
+
+  while (heap.length > 0) {
+    const { id, cost } = pop();
+    if (id === destinationId) break;
+    if (cost > (distance.get(id) ?? Infinity)) continue;
+
+    for (const neighbor of adjacency.get(id) || []) {
+      const nextCost = cost + neighbor.cost;
+      if (nextCost < (distance.get(neighbor.id) ?? Infinity)) {
+        distance.set(neighbor.id, nextCost);
+        previous.set(neighbor.id, id);
+        push({ id: neighbor.id, cost: nextCost });
+      }
+    }
+  }
+
+  if (!previous.has(destinationId)) return null;
+
+  const path = [destinationId];
+  let current = destinationId;
+  while (current !== sourceId) {
+    current = previous.get(current);
+    path.push(current);
+  }
+  return path.reverse();
+}
@@ -0,0 +1,54 @@
+/**
+ * Categorical node colors. Nodes are grouped by `cluster` or a metadata
+ * field, and each group takes the next palette color in the order groups
+ * are first seen, so up to colors.length groups stay distinct. Edges take
+ * their endpoints' colors (see ResilientNetwork#updateEdgeGeometry).
+ */
+
+import { Color } from 'three';
+
+export class CategoryPalette {
+  /**
+   * @param {Object} [settings] - NETWORK_CONFIG.palette
+   * @param {string|null} [settings.by] - 'cluster', another node field, or
+   *   'meta.<field>'; null leaves every node the theme color
+   * @param {Array<number|string>} [settings.colors] - Cycled through for new groups
+   * @param {Object<string, number|string>} [settings.assign] - Fixed colors by group value
+   */
+  constructor(settings = {}) {
+    this.by = settings.by ?? null;
+    this.colors = (settings.colors || []).map(color => new Color(color));
+    this.groups = new Map();  // String(group value) -> Color
+    for (const [value, color] of Object.entries(settings.assign || {})) {
+      this.groups.set(value, new Color(color));
+    }
+    this.nextColor = 0;
+  }
+
+  get enabled() {
+    return this.by !== null;
+  }
+
+  groupOf(node) {
+    if (!this.by || !node) return undefined;
+    if (this.by.startsWith('meta.')) return node.meta?.[this.by.slice(5)];
+    return node[this.by];
+  }
+
+  /**
+   * @returns {Color|null} Null for nodes outside any group
+   */
+  colorOf(node) {
+    const value = this.groupOf(node);
+    if (value === undefined || value === null) return null;
+
+    const key = String(value);
+    let color = this.groups.get(key);
+    if (!color) {
+      if (this.colors.length === 0) return null;
+      color = this.colors[this.nextColor++ % this.colors.length];
+      this.groups.set(key, color);
+    }
+    return color;
+  }
+}
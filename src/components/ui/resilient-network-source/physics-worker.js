@@ -1,40 +1,102 @@
 /**
  * Physics Worker for Resilient Network Visualization
- * 
- * Offloads d3-force simulation and edge management to a background thread.
- * Communicates with main thread via transferable ArrayBuffers for efficiency.
+ *
+ * Runs the shared GraphEngine (simulation, growth and edge management) and
+ * PacketEngine (packets, routing and trails) on a background thread.
+ * Frames go to the main thread either as transferable ArrayBuffers, one
+ * per 'tick' request, or through shared buffers the worker fills on its
+ * own timer (see shared-frames.js).
+ *
+ * Frames refer to nodes by index. Node additions and removals go out first
+ * as ID/attribute deltas ('nodesAdded', 'nodesRemoved') stamped with the
+ * engine's topologyVersion, and every frame carries the version it was
+ * packed from, so the renderer only reads a frame against the node list
+ * it describes.
+ *
+ * The messages themselves are listed in worker-protocol.js.
  */
 
-import { forceSimulation, forceManyBody, forceCenter, forceX, forceY, forceZ, forceLink } from 'd3-force-3d';
+import { CURVE_FLOATS } from './edge-bundling.js';
+import { NETWORK_CONFIG, createRandom, mergeConfig } from './network-config.js';
+import { GraphEngine } from './graph-engine.js';
 import {
-  NETWORK_CONFIG,
-  buildCenters,
-  getCenterIndex,
-  mergeConfig,
-  randomBetween
-} from './network-config.js';
+  PACKET_FLOATS,
+  PACKET_INTS,
+  PacketEngine,
+  TRAIL_FLOATS,
+  createPacketBuffers,
+  describePacket
+} from './packet-engine.js';
+import { viewSharedFrames, writeSharedFrame } from './shared-frames.js';
+import { PROTOCOL_VERSION } from './worker-protocol.js';
+
+// Packets move one step per display frame, whatever the tick rate
+const FRAME_MS = 1000 / 60;
+const MAX_PACKET_STEPS = 4;
 
 // State
-let simulation = null;
-let nodes = [];
-let links = [];
-let config = mergeConfig(NETWORK_CONFIG, {
+let engine = null;
+let packets = null;
+let generation = 0;
+const defaultConfig = mergeConfig(NETWORK_CONFIG, {
   maxNodes: 2000,
   maxLinks: 6000
 });
-let centers = [{ x: 0, y: 0, z: 0 }];
-let linkKeyMap = new Map();
 
 // Reusable typed arrays for efficient transfer
 let positionBuffer = null;
 let linkIndicesBuffer = null;
+let linkUtilizationBuffer = null;
+let linkCoolingBuffer = null;
+let curveSlotsBuffer = null;
+let curvesBuffer = null;
+let packetBuffers = null;
+
+// Packet events since the last frame, posted in one batch
+let packetEvents = [];
+let lastPacketStepAt = null;
+let packetStepDebt = 0;
+
+// Shared-memory mode: views over the main thread's buffers and the free-running loop
+let shared = null;
+let running = true;
+let intervalMs = NETWORK_CONFIG.worker.freeRunMs;
+let loopTimer = null;
 
-let lastUtilizationSweep = 0;
+// Requests answered with a 'reply' (see worker-protocol.js)
+const requests = {
+  removeNodes: ({ ids }) => ({ removed: engine.removeNodes(ids) }),
+  removeLinks: ({ links }) => ({ removed: engine.removeLinks(links) }),
+  replaceGraph: (data) => {
+    generation = data.generation ?? generation;
+    engine.setGraph(data.nodes, data.links);
+    resetPackets();
+    return { nodeCount: engine.nodes.length, linkCount: engine.links.length };
+  },
+  reset: (data) => {
+    generation = data.generation ?? generation;
+    engine.reset();
+    resetPackets();
+    return engine.snapshot();
+  },
+  snapshot: () => engine.snapshot(),
+  settle: ({ maxTicks, alphaMin }) => {
+    const ticks = engine.settle({ maxTicks, alphaMin });
+    publishFrame();
+    return { ticks, alpha: engine.alpha() };
+  }
+};
 
 /**
  * Handle messages from main thread
  */
 self.onmessage = function(e) {
+  if (e.data.requestId !== undefined) {
+    handleRequest(e.data);
+    return;
+  }
+  if (e.data.type !== 'init' && !engine) return;
+  
   switch(e.data.type) {
     case 'init':
       initSimulation(e.data);
@@ -42,371 +104,249 @@ self.onmessage = function(e) {
     case 'tick':
       tickSimulation();
       break;
-    case 'utilized':
-      registerUtilization(e.data.edgeKeys || []);
-      break;
     case 'addNodes':
-      addNodes(e.data.nodes, e.data.links);
+      engine.addNodes(e.data.nodes, e.data.links);
+      engine.reheat(0.5);
       break;
     case 'addCluster':
-      addCluster(e.data.x, e.data.y, e.data.z);
+      engine.addCluster(e.data.x, e.data.y, e.data.z);
       break;
     case 'setConfig':
-      config = mergeConfig(config, e.data.config);
-      applyConfigToSimulation();
+      engine.setConfig(e.data.config);
+      break;
+    case 'setRouting':
+      packets.setRoutingStrategy(e.data.name);
+      break;
+    case 'fail':
+      engine.fail(e.data);
+      packets.rerouteAroundFailures();
+      break;
+    case 'restore':
+      engine.restore();
+      break;
+    case 'run':
+      running = e.data.running ?? running;
+      intervalMs = e.data.intervalMs ?? intervalMs;
+      scheduleLoop();
       break;
   }
 };
 
 /**
- * Initialize the d3-force simulation
+ * Run a request and post its reply, or the error it failed with
  */
-function initSimulation(data) {
-  nodes = data.initialNodes || [];
-  links = data.initialLinks || [];
-  
-  if (data.config) {
-    config = mergeConfig(config, data.config);
+function handleRequest(data) {
+  const reply = { type: 'reply', requestId: data.requestId, request: data.type };
+  try {
+    const handler = requests[data.type];
+    if (!handler) throw new Error(`Unknown request "${data.type}"`);
+    if (!engine) throw new Error('Worker not initialized');
+    const result = handler(data);
+    self.postMessage({ ...reply, generation, ok: true, result });
+  } catch (error) {
+    self.postMessage({ ...reply, generation, ok: false, error: error.message });
   }
+}
+
+/**
+ * Start fresh engines on the main thread's node/link set
+ */
+function initSimulation(data) {
+  generation = data.generation ?? 0;
+  const config = mergeConfig(defaultConfig, data.config);
   
-  // Allocate buffers based on max capacity
-  positionBuffer = new Float32Array(config.maxNodes * 3);    // x, y, z
-  linkIndicesBuffer = new Uint32Array(config.maxLinks * 2);  // source, target indices
-  
-  // Initialize link utilization
-  links.forEach((l, i) => {
-    if (l.utilizedCount === undefined) l.utilizedCount = 0;
+  engine = new GraphEngine(config, {
+    nodes: data.initialNodes || [],
+    links: data.initialLinks || [],
+    random: createRandom(config.seed),
+    onLinkRemoved: ({ source, target }, reason) => {
+      self.postMessage({ type: 'linkRemoved', generation, source, target, reason });
+    },
+    onNodesAdded: (added) => {
+      self.postMessage({
+        type: 'nodesAdded',
+        generation,
+        topologyVersion: engine.topologyVersion,
+        nodes: added.map(n => ({ id: n.id, cluster: n.cluster, size: n.size, meta: n.meta }))
+      });
+    },
+    onNodesRemoved: (ids, reason) => {
+      packets.forgetNodes(ids);
+      self.postMessage({ type: 'nodesRemoved', generation, topologyVersion: engine.topologyVersion, ids, reason });
+    }
   });
-  rebuildLinkKeyMap();
-  
-  centers = buildCenters(
-    config.simulation.multiCenterCount,
-    config.simulation.multiCenterRadius
-  );
-  const useMultiCenter = centers.length > 1;
-  
-  // Create simulation
-  const nextSimulation = forceSimulation(nodes, 3)
-    .force("charge", forceManyBody().strength(config.simulation.chargeStrength));
-    
-  if (!useMultiCenter) {
-    nextSimulation.force("center", forceCenter(0, 0, 0));
-  }
+  packets = new PacketEngine(engine, {
+    stats: data.routingStats,
+    onDelivered: (p) => {
+      packetEvents.push({ type: 'packetdelivered', packet: describePacket(p) });
+    },
+    onDropped: (p, reason) => {
+      packetEvents.push({ type: 'packetdropped', packet: describePacket(p), reason });
+    }
+  });
+  resetPackets();
   
-  nextSimulation
-    .force("x", forceX()
-      .strength(config.simulation.centerStrength)
-      .x(d => centers[getCenterIndex(d, centers.length)].x))
-    .force("y", forceY()
-      .strength(config.simulation.centerStrength)
-      .y(d => centers[getCenterIndex(d, centers.length)].y))
-    .force("z", forceZ()
-      .strength(config.simulation.centerStrength)
-      .z(d => centers[getCenterIndex(d, centers.length)].z))
-    .force("link", forceLink(links)
-      .id(d => d.id)
-      .distance(config.simulation.linkDistance)
-      .strength(config.simulation.linkStrength))
-    .stop();
-    
-  simulation = nextSimulation;
+  // Allocate buffers based on max capacity
+  shared = data.shared ? viewSharedFrames(data.shared) : null;
+  positionBuffer = shared ? null : new Float32Array(config.maxNodes * 3);    // x, y, z
+  linkIndicesBuffer = shared ? null : new Uint32Array(config.maxLinks * 2);  // source, target indices
+  linkUtilizationBuffer = shared ? null : new Uint32Array(config.maxLinks);
+  linkCoolingBuffer = shared ? null : new Uint8Array(config.maxLinks);
+  curveSlotsBuffer = shared ? null : new Uint32Array(config.maxLinks);       // link slot per curve
+  curvesBuffer = shared ? null : new Float32Array(config.maxLinks * CURVE_FLOATS);
+  packetBuffers = shared ? null : createPacketBuffers(config.packetCapacity, config.trailCapacity);
   
   // Signal ready
-  self.postMessage({ type: 'ready', nodeCount: nodes.length, linkCount: links.length });
+  self.postMessage({
+    type: 'ready',
+    protocolVersion: PROTOCOL_VERSION,
+    nodeCount: engine.nodes.length,
+    linkCount: engine.links.length,
+    transport: shared ? 'shared' : 'transfer'
+  });
+  scheduleLoop();
 }
 
 /**
- * Apply config changes to running simulation
+ * Drop packets in flight and pending packet events (new or restored graph)
  */
-function applyConfigToSimulation() {
-  if (!simulation) return;
-  
-  centers = buildCenters(
-    config.simulation.multiCenterCount,
-    config.simulation.multiCenterRadius
-  );
-  simulation.force("charge").strength(config.simulation.chargeStrength);
-  const useMultiCenter = centers.length > 1;
-  if (useMultiCenter) {
-    simulation.force("center", null);
-  } else if (!simulation.force("center")) {
-    simulation.force("center", forceCenter(0, 0, 0));
-  }
-  simulation.force("x")
-    .strength(config.simulation.centerStrength)
-    .x(d => centers[getCenterIndex(d, centers.length)].x);
-  simulation.force("y")
-    .strength(config.simulation.centerStrength)
-    .y(d => centers[getCenterIndex(d, centers.length)].y);
-  simulation.force("z")
-    .strength(config.simulation.centerStrength)
-    .z(d => centers[getCenterIndex(d, centers.length)].z);
-  simulation.force("link")
-    .distance(config.simulation.linkDistance)
-    .strength(config.simulation.linkStrength);
+function resetPackets() {
+  packets.reset();
+  packetEvents = [];
+  lastPacketStepAt = null;
+  packetStepDebt = 0;
 }
 
 /**
- * Run one simulation tick and send results
+ * In shared-memory mode, tick every `intervalMs` while the renderer is running
  */
-function tickSimulation() {
-  if (!simulation) return;
-  
-  // Run physics
-  simulation.tick();
+function scheduleLoop() {
+  clearTimeout(loopTimer);
+  loopTimer = null;
+  if (!shared || !running) return;
   
-  // Cull low-utilization edges (offloaded from main thread)
-  processEdgeUtilization();
-  
-  // Pack node positions into typed array
-  const nodeCount = Math.min(nodes.length, config.maxNodes);
-  for (let i = 0; i < nodeCount; i++) {
-    const offset = i * 3;
-    positionBuffer[offset] = nodes[i].x;
-    positionBuffer[offset + 1] = nodes[i].y;
-    positionBuffer[offset + 2] = nodes[i].z;
-  }
-  
-  // Pack link data
-  const linkCount = Math.min(links.length, config.maxLinks);
-  for (let i = 0; i < linkCount; i++) {
-    const link = links[i];
-    linkIndicesBuffer[i * 2] = typeof link.source === 'object' ? link.source.index : link.source;
-    linkIndicesBuffer[i * 2 + 1] = typeof link.target === 'object' ? link.target.index : link.target;
-  }
-  
-  // Create transferable copies
-  const positionCopy = positionBuffer.slice(0, nodeCount * 3);
-  const indicesCopy = linkIndicesBuffer.slice(0, linkCount * 2);
-  
-  // Send frame data with transferable buffers
-  self.postMessage({
-    type: 'frame',
-    positions: positionCopy.buffer,
-    linkIndices: indicesCopy.buffer,
-    nodeCount: nodeCount,
-    linkCount: linkCount,
-    alpha: simulation.alpha()
-  }, [
-    positionCopy.buffer,
-    indicesCopy.buffer
-  ]);
+  loopTimer = setTimeout(function loop() {
+    const start = performance.now();
+    tickSimulation();
+    // Ticks longer than the interval run back to back rather than piling up
+    loopTimer = setTimeout(loop, Math.max(0, intervalMs - (performance.now() - start)));
+  }, intervalMs);
 }
 
 /**
- * Track utilization counts from main thread packets
+ * Packet steps owed since the last tick. Seeded runs take exactly one per
+ * tick so they replay; otherwise packet speed follows wall time.
  */
-function registerUtilization(edgeKeys) {
-  if (!edgeKeys || edgeKeys.length === 0) return;
-  for (const key of edgeKeys) {
-    const link = linkKeyMap.get(key);
-    if (link) {
-      link.utilizedCount = (link.utilizedCount || 0) + 1;
-    }
-  }
-}
-
-function getEdgeKey(source, target) {
-  const sourceId = source && source.id !== undefined ? source.id : source;
-  const targetId = target && target.id !== undefined ? target.id : target;
-  if (sourceId === undefined || targetId === undefined) return null;
-  return sourceId < targetId ? `${sourceId}-${targetId}` : `${targetId}-${sourceId}`;
-}
-
-function rebuildLinkKeyMap() {
-  linkKeyMap = new Map();
-  for (const link of links) {
-    const key = getEdgeKey(link.source, link.target);
-    if (key) {
-      linkKeyMap.set(key, link);
-    }
-  }
+function takePacketSteps() {
+  if (engine.deterministic) return 1;
+  const now = performance.now();
+  const elapsed = lastPacketStepAt === null ? FRAME_MS : now - lastPacketStepAt;
+  lastPacketStepAt = now;
+  packetStepDebt = Math.min(MAX_PACKET_STEPS, packetStepDebt + elapsed / FRAME_MS);
+  const steps = Math.floor(packetStepDebt);
+  packetStepDebt -= steps;
+  return steps;
 }
 
 /**
- * Cull low-utilization edges and replace with new ones
+ * Copy node positions, link endpoint indices, utilization and cooling flags,
+ * bundled curves, packets and trails into the given arrays
  */
-function processEdgeUtilization() {
-  const now = Date.now();
-  const sweepMs = config.edges.utilizationSweepMs || 2000;
-  if (now - lastUtilizationSweep < sweepMs) return;
-  lastUtilizationSweep = now;
-  
-  if (links.length < 2 || nodes.length < 2) return;
+function packFrame(target) {
+  const { nodes, links } = engine;
+  const { positions, linkIndices, linkUtilization, linkCooling, curveSlots, curves } = target;
   
-  const degrees = new Map();
-  for (const link of links) {
-    const sourceId = link.source?.id ?? link.source;
-    const targetId = link.target?.id ?? link.target;
-    degrees.set(sourceId, (degrees.get(sourceId) || 0) + 1);
-    degrees.set(targetId, (degrees.get(targetId) || 0) + 1);
+  const nodeCount = Math.min(nodes.length, positions.length / 3);
+  for (let i = 0; i < nodeCount; i++) {
+    const offset = i * 3;
+    positions[offset] = nodes[i].x;
+    positions[offset + 1] = nodes[i].y;
+    positions[offset + 2] = nodes[i].z;
   }
   
-  const sorted = links.slice().sort((a, b) => (a.utilizedCount || 0) - (b.utilizedCount || 0));
-  const cutoff = Math.max(1, Math.floor(sorted.length * (config.edges.utilizationCullPercentile || 0.5)));
-  let candidate = null;
-  for (let i = 0; i < cutoff; i++) {
-    const next = sorted[i];
-    const sourceId = next.source?.id ?? next.source;
-    const targetId = next.target?.id ?? next.target;
-    if ((degrees.get(sourceId) || 0) > 1 && (degrees.get(targetId) || 0) > 1) {
-      candidate = next;
-      break;
+  const linkCount = Math.min(links.length, linkIndices.length / 2);
+  let curveCount = 0;
+  for (let i = 0; i < linkCount; i++) {
+    const link = links[i];
+    linkIndices[i * 2] = typeof link.source === 'object' ? link.source.index : link.source;
+    linkIndices[i * 2 + 1] = typeof link.target === 'object' ? link.target.index : link.target;
+    linkUtilization[i] = link.utilizedCount || 0;
+    linkCooling[i] = link.cooling ? 1 : 0;
+    if (link.curve) {
+      curveSlots[curveCount] = i;
+      curves.set(link.curve, curveCount * CURVE_FLOATS);
+      curveCount++;
     }
   }
-  if (!candidate) return;
-  
-  const candidateIdx = links.indexOf(candidate);
-  if (candidateIdx >= 0) {
-    links.splice(candidateIdx, 1);
-  }
   
-  const addReplacementLink = () => {
-    if (nodes.length < 2 || links.length >= config.maxLinks) return false;
-    
-    const sourceIdx = Math.floor(Math.random() * nodes.length);
-    const source = nodes[sourceIdx];
-    let target = null;
-    
-    // 75% chance to connect within same cluster
-    if (Math.random() < 0.75 && source.cluster !== undefined) {
-      const candidates = nodes.filter(n => n.cluster === source.cluster && n !== source);
-      if (candidates.length > 0) {
-        target = candidates[Math.floor(Math.random() * candidates.length)];
-      }
-    }
-    
-    // Otherwise random target
-    if (!target) {
-      let targetIdx = Math.floor(Math.random() * nodes.length);
-      if (targetIdx === sourceIdx) targetIdx = (targetIdx + 1) % nodes.length;
-      target = nodes[targetIdx];
-    }
-    
-    if (!source || !target || source === target) return false;
-    
-    const exists = links.some(l => 
-      (l.source === source && l.target === target) ||
-      (l.source === target && l.target === source) ||
-      (l.source.id === source.id && l.target.id === target.id) ||
-      (l.source.id === target.id && l.target.id === source.id)
-    );
-    
-    if (!exists && links.length < config.maxLinks) {
-      links.push({ source: source, target: target, utilizedCount: 0 });
-      return true;
-    }
-    
-    return false;
-  };
-  
-  const added = addReplacementLink();
-  if (candidateIdx >= 0 || added) {
-    rebuildLinkKeyMap();
-    simulation.force("link").links(links);
-    simulation.alphaTarget(0.08).restart();
-    setTimeout(() => simulation.alphaTarget(0), 100);
-  }
+  return { nodeCount, linkCount, curveCount, ...packets.pack(target) };
 }
 
 /**
- * Add new nodes to the simulation
+ * Run one simulation tick and send results
  */
-function addNodes(newNodes, newLinks = []) {
-  if (!simulation) return;
-  
-  // Add nodes
-  for (const node of newNodes) {
-    if (nodes.length < config.maxNodes) {
-      nodes.push(node);
-    }
+function tickSimulation() {
+  engine.tick();
+  const steps = takePacketSteps();
+  for (let i = 0; i < steps; i++) {
+    packets.step();
   }
   
-  // Add links
-  for (const link of newLinks) {
-    if (links.length < config.maxLinks) {
-      link.utilizedCount = link.utilizedCount || 0;
-      links.push(link);
-    }
+  // Posted ahead of the frame showing the outcome
+  if (packetEvents.length > 0) {
+    self.postMessage({ type: 'packetEvents', generation, events: packetEvents });
+    packetEvents = [];
   }
   
-  rebuildLinkKeyMap();
-  
-  // Update simulation
-  simulation.nodes(nodes);
-  simulation.force("link").links(links);
-  simulation.alpha(0.5).restart();
-  
-  self.postMessage({ type: 'nodesAdded', nodeCount: nodes.length, linkCount: links.length });
+  publishFrame();
 }
 
 /**
- * Add a cluster of nodes at a position
+ * Post the current state as a 'frame', or write it to shared memory
  */
-function addCluster(x, y, z = 0) {
-  if (nodes.length >= config.maxNodes - 30) return;
-  
-  const count = 15 + Math.floor(Math.random() * 15);
-  const clusterId = Date.now();
-  const newNodes = [];
-  const newLinks = [];
-  
-  // Create cluster nodes
-  for (let i = 0; i < count; i++) {
-    const node = {
-      id: clusterId + i + Math.random(),
-      x: x + (Math.random() - 0.5) * 80,
-      y: y + (Math.random() - 0.5) * 80,
-      z: z + (Math.random() - 0.5) * 80,
-      vx: 0, vy: 0, vz: 0,
-      size: randomBetween(config.nodes.clusterSizeMin, config.nodes.clusterSizeMax),
-      cluster: clusterId
-    };
-    newNodes.push(node);
+function publishFrame() {
+  if (shared) {
+    writeSharedFrame(shared, {
+      generation,
+      tick: engine.tickCount,
+      alpha: engine.alpha(),
+      topologyVersion: engine.topologyVersion,
+      stats: packets.stats
+    }, packFrame);
+    return;
   }
   
-  // Create cluster links
-  for (let i = 0; i < count - 1; i++) {
-    newLinks.push({ 
-      source: newNodes[i].id, 
-      target: newNodes[i + 1].id, 
-      utilizedCount: 0 
-    });
-    
-    if (Math.random() > 0.6 && i < count - 2) {
-      newLinks.push({ 
-        source: newNodes[i].id, 
-        target: newNodes[i + 2].id, 
-        utilizedCount: 0 
-      });
-    }
-  }
+  const counts = packFrame({
+    positions: positionBuffer,
+    linkIndices: linkIndicesBuffer,
+    linkUtilization: linkUtilizationBuffer,
+    linkCooling: linkCoolingBuffer,
+    curveSlots: curveSlotsBuffer,
+    curves: curvesBuffer,
+    ...packetBuffers
+  });
   
-  // Connect to nearest existing node
-  if (nodes.length > 0) {
-    let nearest = null;
-    let minDist = Infinity;
-    
-    for (const n of nodes) {
-      const dx = n.x - x;
-      const dy = n.y - y;
-      const dz = n.z - z;
-      const dist = dx*dx + dy*dy + dz*dz;
-      if (dist < minDist) {
-        minDist = dist;
-        nearest = n;
-      }
-    }
-    
-    if (nearest && minDist < 200*200) {
-      newLinks.push({
-        source: newNodes[0].id,
-        target: nearest.id,
-        utilizedCount: 0
-      });
-    }
-  }
+  // Create transferable copies
+  const copies = {
+    positions: positionBuffer.slice(0, counts.nodeCount * 3).buffer,
+    linkIndices: linkIndicesBuffer.slice(0, counts.linkCount * 2).buffer,
+    linkUtilization: linkUtilizationBuffer.slice(0, counts.linkCount).buffer,
+    linkCooling: linkCoolingBuffer.slice(0, counts.linkCount).buffer,
+    curveSlots: curveSlotsBuffer.slice(0, counts.curveCount).buffer,
+    curves: curvesBuffer.slice(0, counts.curveCount * CURVE_FLOATS).buffer,
+    packets: packetBuffers.packets.slice(0, counts.packetCount * PACKET_FLOATS).buffer,
+    packetInfo: packetBuffers.packetInfo.slice(0, counts.packetCount * PACKET_INTS).buffer,
+    trails: packetBuffers.trails.slice(0, counts.trailCount * TRAIL_FLOATS).buffer
+  };
   
-  addNodes(newNodes, newLinks);
+  // Send frame data with transferable buffers
+  self.postMessage({
+    type: 'frame',
+    generation,
+    ...copies,
+    ...counts,
+    alpha: engine.alpha(),
+    topologyVersion: engine.topologyVersion,
+    stats: packets.stats
+  }, Object.values(copies));
 }
-
@@ -0,0 +1,52 @@
+/**
+ * Screen-space picking for the node, edge and packet meshes.
+ *
+ * Raycasting point sprites needs a world-space threshold that doesn't match
+ * their perspective-scaled size on screen, so picks are done in CSS pixels
+ * instead: project, then measure against the size the shaders draw.
+ */
+
+import { Vector3 } from 'three';
+
+const scratch = new Vector3();
+
+/**
+ * Project a world position to CSS pixels within the canvas.
+ *
+ * @returns {{ x: number, y: number, depth: number }|null} null when behind the camera
+ */
+export function projectToScreen(point, camera, width, height) {
+  scratch.set(point.x || 0, point.y || 0, point.z || 0).applyMatrix4(camera.matrixWorldInverse);
+  const depth = -scratch.z;
+  if (depth <= camera.near) return null;
+  scratch.applyMatrix4(camera.projectionMatrix);
+  return {
+    x: (scratch.x + 1) * 0.5 * width,
+    y: (1 - scratch.y) * 0.5 * height,
+    depth
+  };
+}
+
+/**
+ * On-screen radius in CSS pixels of a point sprite drawn with
+ * `gl_PointSize = size * (500.0 / depth)`. Instanced nodes are that size
+ * in CSS pixels, i.e. a pixelRatio of 1.
+ */
+export function pointRadius(size, depth, pixelRatio) {
+  return (size * (500 / depth)) / pixelRatio / 2;
+}
+
+/**
+ * Squared distance from (px, py) to the segment a-b.
+ */
+export function segmentDistanceSq(px, py, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0
+    ? Math.max(0, Math.min(1, ((px - a.x) * dx + (py - a.y) * dy) / lengthSq))
+    : 0;
+  const x = a.x + dx * t - px;
+  const y = a.y + dy * t - py;
+  return x * x + y * y;
+}
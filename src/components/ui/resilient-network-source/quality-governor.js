@@ -0,0 +1,84 @@
+/**
+ * Picks a quality level from measured frame times.
+ *
+ * Levels come from NETWORK_CONFIG.quality.levels, cheapest first. The
+ * governor steps down when frames run long and steps back up after several
+ * windows with headroom, waiting out a cooldown after every change so a
+ * switch can settle before it is judged.
+ */
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+export class QualityGovernor {
+  /**
+   * @param {Object} settings - NETWORK_CONFIG.quality
+   * @param {number} level - Starting index into settings.levels
+   * @param {number} now - ms
+   */
+  constructor(settings, level, now) {
+    this.settings = settings;
+    this.level = level;
+    this.intervals = [];
+    this.costs = [];
+    this.windowStart = now;
+    this.holdUntil = now + settings.warmupMs;
+    this.goodWindows = 0;
+  }
+
+  /**
+   * Record one frame.
+   *
+   * @param {number} intervalMs - Time since the previous frame started
+   * @param {number} costMs - Main-thread time spent on this frame
+   * @param {number} now - ms
+   * @returns {number|null} New level index, or null to stay
+   */
+  sample(intervalMs, costMs, now) {
+    const s = this.settings;
+    // Long gaps are hidden tabs or debugger pauses, not slow frames
+    if (intervalMs > s.maxSampleMs || now < this.holdUntil) {
+      this.restartWindow(now);
+      return null;
+    }
+    this.intervals.push(intervalMs);
+    this.costs.push(costMs);
+    if (now - this.windowStart < s.windowMs) return null;
+
+    const intervals = this.intervals.slice().sort((a, b) => a - b);
+    const costs = this.costs.slice().sort((a, b) => a - b);
+    this.restartWindow(now);
+
+    const medianInterval = percentile(intervals, 0.5);
+    if (medianInterval > s.targetFrameMs * s.downgradeRatio) {
+      this.goodWindows = 0;
+      return this.moveTo(this.level - 1, now);
+    }
+
+    // Frame pacing is capped by vsync, so headroom shows in per-frame cost
+    const hasHeadroom = medianInterval <= s.targetFrameMs * s.upgradeRatio &&
+      percentile(costs, 0.9) < s.targetFrameMs * s.headroomRatio;
+    this.goodWindows = hasHeadroom ? this.goodWindows + 1 : 0;
+    if (this.goodWindows >= s.upgradeWindows) {
+      this.goodWindows = 0;
+      return this.moveTo(this.level + 1, now);
+    }
+    return null;
+  }
+
+  moveTo(level, now) {
+    const next = Math.max(0, Math.min(this.settings.levels.length - 1, level));
+    if (next === this.level) return null;
+    this.level = next;
+    this.holdUntil = now + this.settings.cooldownMs;
+    return next;
+  }
+
+  restartWindow(now) {
+    this.intervals = [];
+    this.costs = [];
+    this.windowStart = now;
+  }
+}
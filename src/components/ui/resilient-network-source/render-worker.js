@@ -0,0 +1,170 @@
+/**
+ * Render worker for the offscreen tier: a whole ResilientNetwork (simulation,
+ * packets and Three.js) drawing into a canvas transferred from the page.
+ * The page side is offscreen-tier.js.
+ *
+ * Page -> worker:
+ *   init        { canvas, width, height, left, top, devicePixelRatio,
+ *               visible, pageVisible, reducedMotion, options }
+ *               Answered by 'started', or 'failed' { error } when this
+ *               worker can't render (no WebGL2 or requestAnimationFrame here)
+ *   resize      { width, height, left, top }
+ *   visibility  { visible, pageVisible }
+ *   theme       { colors } See ResilientNetwork#readThemeColors
+ *   motion      { matches } prefers-reduced-motion changed
+ *   input       { left, top, event: { type, clientX, clientY, pointerId, button, shiftKey, deltaY, deltaMode } }
+ *   call        { requestId, method, args } One of OFFSCREEN_METHODS
+ *
+ * Worker -> page:
+ *   event       { name, detail } Everything ResilientNetwork#emit sends
+ *   diagnostics { diagnostics } Every NETWORK_CONFIG.hud.updateMs
+ *   cursor      { value } Pointer cursor over the canvas
+ *   reply       { requestId, ok, result?, error? }
+ */
+
+import { ResilientNetwork } from './resilient-network.js';
+import { OFFSCREEN_METHODS } from './offscreen-tier.js';
+
+/**
+ * Stands in for the container and canvas element: sized and positioned by
+ * the page, receiving the pointer events it forwards
+ */
+class PageSurface extends EventTarget {
+  constructor(size) {
+    super();
+    this.resize(size);
+    this.style = {
+      set cursor(value) {
+        self.postMessage({ type: 'cursor', value });
+      }
+    };
+  }
+
+  resize({ width, height, left, top }) {
+    this.clientWidth = width;
+    this.clientHeight = height;
+    this.left = left;
+    this.top = top;
+  }
+
+  getBoundingClientRect() {
+    return { left: this.left, top: this.top, width: this.clientWidth, height: this.clientHeight };
+  }
+}
+
+/**
+ * The page's prefers-reduced-motion query, as far as ResilientNetwork uses it
+ */
+class MotionPreference extends EventTarget {
+  constructor(matches) {
+    super();
+    this.matches = matches;
+  }
+
+  update(matches) {
+    this.matches = matches;
+    this.dispatchEvent(new Event('change'));
+  }
+}
+
+let network = null;
+let surface = null;
+let motionQuery = null;
+
+self.onmessage = function(e) {
+  const data = e.data;
+  if (data.type === 'init') {
+    start(data);
+    return;
+  }
+  if (!network) return;
+
+  switch (data.type) {
+    case 'resize':
+      surface.resize(data);
+      network.onResize();
+      break;
+    case 'visibility':
+      network.isVisible = data.visible;
+      network.isPageVisible = data.pageVisible;
+      network.handleVisibilityChange();
+      break;
+    case 'theme':
+      network.applyTheme(undefined, { colors: data.colors });
+      break;
+    case 'motion':
+      motionQuery.update(data.matches);
+      break;
+    case 'input': {
+      const { type, ...fields } = data.event;
+      surface.left = data.left;
+      surface.top = data.top;
+      surface.dispatchEvent(Object.assign(new Event(type, { cancelable: true }), fields));
+      break;
+    }
+    case 'call':
+      callNetwork(data);
+      break;
+  }
+};
+
+async function start(data) {
+  if (typeof requestAnimationFrame !== 'function') {
+    self.postMessage({ type: 'failed', error: 'No requestAnimationFrame in workers' });
+    return;
+  }
+
+  surface = new PageSurface(data);
+  motionQuery = new MotionPreference(data.reducedMotion);
+  const instance = new ResilientNetwork();
+  instance.isVisible = data.visible;
+  instance.isPageVisible = data.pageVisible;
+
+  // Events go back to the page, where ResilientNetwork re-emits them
+  const emit = instance.emit.bind(instance);
+  instance.emit = (type, detail) => {
+    emit(type, detail);
+    self.postMessage({ type: 'event', name: type, detail });
+  };
+
+  try {
+    await instance.init(surface, {
+      ...data.options,
+      canvas: data.canvas,
+      devicePixelRatio: data.devicePixelRatio,
+      motionQuery,
+      tier: 'offscreen',
+      hud: false,
+      quality: false
+    });
+  } catch (error) {
+    self.postMessage({ type: 'failed', error: error.message });
+    return;
+  }
+
+  // The HUD lives on the page; recordFrameTiming() feeds this instead
+  const { updateMs } = instance.tuning.hud;
+  let reportedAt = -Infinity;
+  instance.hud = {
+    update(diagnostics, now) {
+      if (now - reportedAt < updateMs) return;
+      reportedAt = now;
+      self.postMessage({ type: 'diagnostics', diagnostics });
+    },
+    destroy() {}
+  };
+
+  network = instance;
+  self.postMessage({ type: 'started' });
+}
+
+async function callNetwork({ requestId, method, args }) {
+  const reply = { type: 'reply', requestId };
+  try {
+    if (!OFFSCREEN_METHODS.includes(method)) throw new Error(`Unknown method "${method}"`);
+    const result = await network[method](...args);
+    self.postMessage({ ...reply, ok: true, result });
+  } catch (error) {
+    self.postMessage({ ...reply, ok: false, error: error.message });
+  }
+}
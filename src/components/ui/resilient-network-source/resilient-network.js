@@ -6,23 +6,53 @@ import {
   BufferAttribute,
   Points,
   LineSegments,
+  Mesh,
   ShaderMaterial,
   Color,
+  Vector2,
   AdditiveBlending,
   NormalBlending
 } from 'three';
-import { forceSimulation, forceManyBody, forceCenter, forceX, forceY, forceZ, forceLink } from 'd3-force-3d';
 import {
   NETWORK_CONFIG,
-  buildCenters,
-  getCenterIndex,
+  buildEdgeKey,
+  createRandom,
+  isLinkFailed,
+  lerp,
   mergeConfig,
-  randomBetween
+  normalizeGraph,
+  randomBetween,
+  snapshotGraph
 } from './network-config.js';
+import { CameraRig, attachCameraInput } from './camera-rig.js';
+import { CURVE_POINTS, pointAlongLink } from './edge-bundling.js';
+import { GraphEngine } from './graph-engine.js';
+import { GraphIndex, LinkSlots } from './graph-index.js';
+import { NetworkHud } from './hud.js';
+import { createEdgeGeometry, createNodeGeometry, setDrawCount } from './mesh-geometry.js';
+import { OFFSCREEN_METHODS, OffscreenTier, canRenderOffscreen } from './offscreen-tier.js';
+import { CategoryPalette } from './palette.js';
+import {
+  PACKET_FLOATS,
+  PACKET_INTS,
+  PACKET_KINDS,
+  PacketEngine,
+  TRAIL_FLOATS,
+  createPacketBuffers,
+  describePacket
+} from './packet-engine.js';
+import { QualityGovernor } from './quality-governor.js';
+import { pointRadius, projectToScreen, segmentDistanceSq } from './picking.js';
+import { DEFAULT_ROUTING_STRATEGY, ROUTING_STRATEGIES } from './routing-strategies.js';
+import { canShareMemory, createSharedFrames, createStaging, readSharedFrame, viewSharedFrames } from './shared-frames.js';
+import { PROTOCOL_VERSION } from './worker-protocol.js';
+import { parseTopology, serializeTopology } from './topology-io.js';
 import nodeVertexShader from './node-vertex.glsl?raw';
 import nodeFragmentShader from './node-fragment.glsl?raw';
 import edgeVertexShader from './edge-vertex.glsl?raw';
 import edgeFragmentShader from './edge-fragment.glsl?raw';
+import nodeInstancedVertexShader from './node-instanced-vertex.glsl?raw';
+import edgeInstancedVertexShader from './edge-instanced-vertex.glsl?raw';
 import packetVertexShader from './packet-vertex.glsl?raw';
 import packetFragmentShader from './packet-fragment.glsl?raw';
 import trailVertexShader from './trail-vertex.glsl?raw';
@@ -39,14 +69,21 @@ import trailFragmentShader from './trail-fragment.glsl?raw';
  * Visual Features:
  * - Depth-based fading for 3D feel
  * - Edge flow animation
+ * - Optional instanced renderer: lit nodes, edges of any width (see mesh-geometry.js)
+ * - Optional edge bundling: links between clusters curve along shared corridors
  * - Packet trails with afterglow
  */
 
+// Scratch for updateEdgeGeometry's group colors along curves
+const segmentColor = new Color();
+
 const SHADERS = {
   nodeVertex: nodeVertexShader,
   nodeFragment: nodeFragmentShader,
   edgeVertex: edgeVertexShader,
   edgeFragment: edgeFragmentShader,
+  nodeInstancedVertex: nodeInstancedVertexShader,
+  edgeInstancedVertex: edgeInstancedVertexShader,
   packetVertex: packetVertexShader,
   packetFragment: packetFragmentShader,
   trailVertex: trailVertexShader,
@@ -65,32 +102,104 @@ export class ResilientNetwork {
     // Three.js components
     this.scene = null;
     this.camera = null;
+    this.cameraRig = null;
+    this.cameraInput = null;
     this.renderer = null;
     this.nodeMesh = null;
     this.edgeMesh = null;
     this.packetMesh = null;
     this.trailMesh = null;
+    this.instanced = false;  // Node and edge meshes drawn as instanced quads, see mesh-geometry.js
     
     // Data
     this.nodes = [];
     this.links = [];
-    this.linkByKey = new Map();
-    this.packets = [];
-    this.trails = [];  // Packet trail segments
-    this.simulation = null;
-    this.lastUtilizationSweep = 0;
+    this.localIndex = new GraphIndex();  // Enhanced tier; baseline reads the engine's (see `index`)
+    this.frameLinks = new LinkSlots(this.localIndex);
+    this.topologyVersion = 0;            // Node set in the geometry: worker deltas applied (see physics-worker.js) or the baseline engine's
+    this.lastHeatAt = null;              // Simulation time of the last link heat decay (see updateLinkHeat)
+    
+    // Injected failures (see failNode / failLink / failRegion / restore)
+    this.failedNodeIds = new Set();
+    this.failedLinkKeys = new Set();
+    
+    // Packets are simulated next to the graph: here on the baseline tier, in the worker otherwise
+    this.routingStats = null;  // Latest counters; the baseline PacketEngine keeps its own live
+    this.packets = [];         // Drawn packets: live on baseline, decoded from frames on enhanced
+    this.trailCount = 0;
+    this.packetBuffers = null; // Baseline pack() target, see writePacketGeometry
+    this.engine = null;  // Baseline tier's GraphEngine; the worker runs its own
+    this.packetEngine = null;
+    
+    // Caller-supplied topology (see setGraph)
+    this.pendingGraph = null;
+    this.hasCustomGraph = false;
+    this.evolve = true;
+    this.graphGeneration = 0;
     
     // Worker (for enhanced tier)
     this.worker = null;
-    this.tier = 'baseline'; // 'baseline' | 'enhanced'
+    this.tier = 'baseline'; // 'baseline' | 'enhanced' | 'offscreen'
     this.workerReady = false;
     this.pendingFrame = false;
+    this.workerRequests = new Map(); // requestId -> { resolve, reject } (see requestWorker)
+    this.nextWorkerRequestId = 1;
+    this.workerFailed = false;
+    this.switchingTier = false;
+    this.useSharedMemory = true;
+    this.sharedFrames = null; // Views, staging arrays and last seq when frames are shared
+    
+    // Runtime quality scaling (see initQualityGovernor)
+    this.governor = null;
+    this.qualityLevels = [];
+    this.qualityLevel = null;
+    this.tickIntervalMs = null; // null: tier default (every frame / simulation.tickMs)
+    this.meshCapacity = null;
+    
+    // Randomness and timing; a seed makes both reproducible (see init)
+    this.random = Math.random;
+    this.deterministic = false;
+    this.simulationTick = 0;
+    this.pendingPacketSteps = 0;
+    
+    // Diagnostics (see getDiagnostics and the HUD overlay)
+    this.hud = null;
+    this.perf = { fps: 0, frameMs: 0, workerRttMs: null, alpha: 0, lastFrameAt: null };
+    this.tickSentAt = 0;
+    this.handleHudKey = this.onHudKey.bind(this);
+    
+    // Event listeners, see on()/off()/emit()
+    this.listeners = new Map();
+    this.readyEmitted = false;
+    
+    // Pointer picking (opt-in via init options.interactive)
+    this.interactive = false;
+    this.pointer = null;       // { x, y } in canvas CSS pixels while over the canvas
+    this.hovered = null;       // Last pick result, see pickAt()
+    this.highlightNodeIds = null; // nodeId -> 1 (hovered) | 0.5 (neighbor)
+    this.handlePointerMove = this.onPointerMove.bind(this);
+    this.handlePointerLeave = this.onPointerLeave.bind(this);
+    this.handleClick = this.onClick.bind(this);
     
     // State
-    this.lastSpawnTime = 0;
-    this.lastInteractionTime = Date.now();
     this.animationFrameId = null;
     this.handleResize = this.onResize.bind(this);
+    this.handleThemeChange = this.onThemeChange.bind(this);
+    this.themeTween = null;
+    
+    // Reduced motion: a settled still instead of the animation, see setReducedMotion()
+    this.reducedMotion = false;
+    this.reducedMotionSetting = 'auto';
+    this.motionQuery = null;
+    this.handleMotionChange = this.onMotionChange.bind(this);
+    
+    // Offscreen tier: the page-side handle (see offscreen-tier.js), or inside
+    // render-worker.js the transferred canvas and the page's stand-in
+    this.offscreen = null;
+    this.offscreenFailed = false;
+    this.offscreenCanvas = null;
+    this.inputElement = null;  // Receives pointer input: the canvas, or the stand-in
+    this.devicePixelRatio = 1;
     
     // Config - will be adjusted based on tier
     this.config = {
@@ -105,36 +214,92 @@ export class ResilientNetwork {
     this.config.color = this.tuning.colors?.edge;
     this.config.packetColor = this.tuning.colors?.packet;
     this.config.bgColor = this.tuning.colors?.background;
+    this.palette = new CategoryPalette(this.tuning.palette);
   }
 
-  async init(containerElement) {
+  /**
+   * @param {HTMLElement} containerElement
+   * @param {Object} [options]
+   * @param {{ nodes: Object[], links?: Object[] }} [options.graph] - Topology to show instead of random clusters
+   * @param {boolean} [options.evolve] - Let growth and edge culling rewrite a supplied graph (default: false)
+   * @param {number|string} [options.seed] - Seed for reproducible layout, culling and packet routes
+   * @param {string} [options.routing] - Packet routing strategy (default: NETWORK_CONFIG.packets.routing)
+   * @param {string|Object} [options.palette] - Color nodes and edges by group (see setPalette)
+   * @param {'points'|'instanced'|Object} [options.renderer] - How nodes and edges are drawn, or
+   *   overrides for NETWORK_CONFIG.renderer ({ mode, edgeWidth, edgeFeather })
+   * @param {boolean|Object} [options.bundling] - Curve links between clusters (see setBundling)
+   * @param {boolean} [options.interactive] - Pick nodes, edges and packets under the pointer,
+   *   dispatch nodehover/nodeclick (and edge*, packet*) CustomEvents on the container, and let
+   *   drag, wheel and pinch move the camera
+   * @param {boolean} [options.hud] - Show the diagnostics overlay (default: NETWORK_CONFIG.hud.enabled)
+   * @param {boolean|'auto'} [options.reducedMotion] - Show a still poster instead of the animation;
+   *   'auto' follows prefers-reduced-motion (default: NETWORK_CONFIG.reducedMotion.enabled)
+   * @param {'baseline'|'enhanced'|'offscreen'} [options.tier] - Starting tier; 'baseline' suits
+   *   constrained devices. 'offscreen' renders in a worker where OffscreenCanvas supports WebGL2
+   *   (else 'enhanced'). It is opt-in since it runs without the quality governor or a physics
+   *   worker; the HUD stays on the page, fed by the render worker's diagnostics. The methods
+   *   in OFFSCREEN_METHODS then return promises.
+   * @param {boolean} [options.quality] - Scale quality and tier to measured frame times
+   *   (default: NETWORK_CONFIG.quality.enabled; always off when seeded)
+   * @param {boolean} [options.sharedMemory] - Let the worker write frames into shared memory
+   *   on its own clock when the page is cross-origin isolated (default:
+   *   NETWORK_CONFIG.worker.sharedMemory; seeded runs keep per-request frames)
+   * @param {OffscreenCanvas} [options.canvas] - Inside render-worker.js: the transferred canvas,
+   *   with `devicePixelRatio`, `motionQuery` and `themeColors` from the page
+   */
+  async init(containerElement, options = {}) {
     this.container = containerElement;
+    this.offscreenCanvas = options.canvas ?? null;
+    this.devicePixelRatio = options.devicePixelRatio ?? globalThis.devicePixelRatio ?? 1;
+    this.tuning.seed = options.seed ?? this.tuning.seed;
+    this.deterministic = this.tuning.seed !== null && this.tuning.seed !== undefined;
+    this.random = createRandom(this.tuning.seed);
+    this.interactive = !!options.interactive;
+    this.useSharedMemory = options.sharedMemory ?? this.tuning.worker.sharedMemory;
+    this.setRoutingStrategy(options.routing ?? this.tuning.packets.routing);
+    if (options.palette !== undefined) {
+      this.setPalette(options.palette);
+    }
+    if (options.renderer !== undefined) {
+      const updates = typeof options.renderer === 'string' ? { mode: options.renderer } : options.renderer;
+      this.tuning.renderer = { ...this.tuning.renderer, ...updates };
+    }
+    if (options.bundling !== undefined) {
+      this.setBundling(options.bundling);
+    }
+    if (options.graph) {
+      this.setGraph(options.graph, { evolve: options.evolve });
+    }
     this.width = this.container.clientWidth;
     this.height = this.container.clientHeight;
 
-    // Read CSS custom properties
-    const styles = getComputedStyle(document.body);
-    const color = styles.getPropertyValue('--ink-black').trim();
-    const bgColor = styles.getPropertyValue('--bg-paper').trim();
-    const packetColor = styles.getPropertyValue('--highlight-accent').trim();
-
-    if (color) this.config.color = color;
-    if (bgColor) this.config.bgColor = bgColor;
-    if (packetColor) this.config.packetColor = packetColor;
-    
-    const bgCol = new Color(this.config.bgColor);
-    const luminance = bgCol.r * 0.299 + bgCol.g * 0.587 + bgCol.b * 0.114;
-    this.isLightMode = luminance > 0.5;
+    // Colors and blending follow the page theme, see applyTheme()
+    this.applyTheme(undefined, { colors: options.themeColors });
 
     // Feature detection for tiered enhancement
-    this.tier = this.detectTier();
+    this.tier = this.detectTier(options.tier);
+    if (this.tier === 'offscreen' && !this.offscreenCanvas) {
+      if (await this.initOffscreenMode(options)) return;
+      this.tier = this.detectTier(options.tier);
+    }
     this.applyTierConfig();
     
     console.log(`🌐 Resilient Network: ${this.tier} tier (${this.config.targetNodeCount} nodes)`);
 
+    if (this.pendingGraph) {
+      this.applyGraphData(this.normalizeInputGraph(this.pendingGraph));
+      this.pendingGraph = null;
+    }
+
     // Initialize Three.js
     this.initThree();
     this.initData();
+    if (this.interactive) {
+      this.initPointerInteraction();
+    }
+    if (!this.offscreenCanvas) {
+      this.initHud(options.hud ?? this.tuning.hud.enabled);
+    }
     
     // Initialize based on tier
     if (this.tier === 'enhanced') {
@@ -143,26 +308,444 @@ export class ResilientNetwork {
       this.initBaselineMode();
     }
     
-    this.initVisibilityTracking();
+    // In render-worker.js the page forwards visibility, resize and theme changes
+    if (!this.offscreenCanvas) {
+      this.initVisibilityTracking();
+      window.addEventListener('resize', this.handleResize);
+      document.addEventListener('themechange', this.handleThemeChange);
+    }
+    this.isRunning = true;
+    if (this.tier !== 'enhanced') {
+      this.emitReady();
+    }
+    this.initQualityGovernor(options.quality ?? this.tuning.quality.enabled);
+    
+    // Starts the animation, or draws the poster when motion is reduced
+    this.motionQuery = options.motionQuery ?? globalThis.matchMedia?.('(prefers-reduced-motion: reduce)') ?? null;
+    this.motionQuery?.addEventListener('change', this.handleMotionChange);
+    this.setReducedMotion(options.reducedMotion ?? this.tuning.reducedMotion.enabled);
+  }
+
+  /**
+   * Hand a canvas to render-worker.js, which runs the simulation and renders;
+   * this thread keeps resize, visibility, theme and pointer forwarding and
+   * relays calls (OFFSCREEN_METHODS) and events
+   *
+   * @returns {Promise<boolean>} false when the worker can't render, leaving the tier to the caller
+   */
+  async initOffscreenMode(options) {
+    const offscreen = new OffscreenTier(this.container, {
+      onEvent: (type, detail) => this.emit(type, detail),
+      onDiagnostics: (diagnostics) => this.hud?.update(diagnostics, performance.now()),
+      readThemeColors: (theme) => this.readThemeColors(theme)
+    });
+    const started = await offscreen.start({
+      seed: this.tuning.seed,
+      graph: this.pendingGraph,
+      evolve: this.evolve,
+      routing: this.tuning.packets.routing,
+      palette: this.tuning.palette,
+      renderer: this.tuning.renderer,
+      bundling: this.tuning.bundling,
+      interactive: this.interactive,
+      reducedMotion: options.reducedMotion,
+      themeColors: this.readThemeColors()
+    });
+    if (!started) {
+      this.offscreenFailed = true;
+      return false;
+    }
+    
+    this.offscreen = offscreen;
+    this.pendingGraph = null;
+    for (const method of OFFSCREEN_METHODS) {
+      this[method] = (...args) => offscreen.call(method, args);
+    }
     this.isRunning = true;
-    this.animate();
+    this.initHud(options.hud ?? this.tuning.hud.enabled);
+    return true;
+  }
+
+  /**
+   * Switch between the animation and a static poster. The poster settles
+   * the layout offscreen, hides packets and draws a single frame, redrawn
+   * only on resize, theme change, setGraph() and tier switches.
+   *
+   * @param {boolean|'auto'} enabled - 'auto' follows prefers-reduced-motion as it changes
+   */
+  setReducedMotion(enabled) {
+    this.reducedMotionSetting = enabled;
+    this.reducedMotion = enabled === 'auto' ? !!this.motionQuery?.matches : !!enabled;
+    if (!this.isRunning) return;
+    
+    this.packetMesh.visible = !this.reducedMotion;
+    this.trailMesh.visible = !this.reducedMotion;
+    this.postWorkerPace();
+    if (this.reducedMotion) {
+      if (this.animationFrameId) {
+        cancelAnimationFrame(this.animationFrameId);
+        this.animationFrameId = null;
+      }
+      void this.renderPoster();
+    } else if (!this.animationFrameId) {
+      this.animate();
+    }
+  }
+
+  onMotionChange() {
+    if (this.reducedMotionSetting === 'auto') {
+      this.setReducedMotion('auto');
+    }
+  }
+
+  /**
+   * Settle the layout (in the worker on the enhanced tier) and draw it
+   */
+  async renderPoster() {
+    if (!this.reducedMotion || !this.isRunning) return;
+    
+    const { maxTicks, alphaMin } = this.tuning.reducedMotion;
+    if (this.tier === 'enhanced' && this.worker) {
+      const worker = this.worker;
+      // The worker posts (or writes) the settled frame before it replies
+      try {
+        const settled = await this.requestWorker('settle', { maxTicks, alphaMin });
+        if (this.sharedFrames) this.readSharedWorkerFrame();
+        this.perf.alpha = settled.alpha;
+      } catch (error) {
+        // Stopped worker: destroyed, or back on baseline where the retry settles here
+        if (this.worker !== worker || this.tier !== 'enhanced') return this.renderPoster();
+        // Still running but failed to settle: show the frame it last sent
+        console.warn('Worker failed to settle the poster:', error);
+      }
+    } else if (this.engine) {
+      this.engine.settle({ maxTicks, alphaMin });
+      this.updateNodeGeometry(this.nodeMesh.geometry);
+      this.updateEdgeGeometry();
+      this.perf.alpha = this.engine.alpha();
+      this.emitFrame();
+    }
+    this.drawPoster();
+  }
+
+  /**
+   * Render one frame of the still poster as it stands
+   */
+  drawPoster() {
+    if (!this.reducedMotion || !this.isRunning) return;
+    this.cameraRig.update(performance.now());
+    this.renderer.render(this.scene, this.camera);
+  }
+
+  /**
+   * Theme colors from the --ink-black, --bg-paper and --highlight-accent
+   * custom properties, falling back to NETWORK_CONFIG colors for the theme
+   *
+   * @param {string} [theme] - 'light' or 'dark' (default: the class ThemeManager sets on <html>)
+   * @returns {{ color: string|number, bgColor: string|number, packetColor: string|number, isLightMode: boolean }}
+   */
+  readThemeColors(theme) {
+    const name = theme ?? (document.documentElement.classList.contains('light') ? 'light' : 'dark');
+    const defaults = name === 'light' ? { ...this.tuning.colors, ...this.tuning.theme.light } : this.tuning.colors;
+    const styles = getComputedStyle(document.body);
+    const read = (property, fallback) => styles.getPropertyValue(property).trim() || fallback;
+    
+    const colors = {
+      color: read('--ink-black', defaults.edge),
+      bgColor: read('--bg-paper', defaults.background),
+      packetColor: read('--highlight-accent', defaults.packet)
+    };
+    const bgCol = new Color(colors.bgColor);
+    const luminance = bgCol.r * 0.299 + bgCol.g * 0.587 + bgCol.b * 0.114;
+    colors.isLightMode = luminance > 0.5;
+    return colors;
+  }
+
+  /**
+   * Restyle the running network for a theme. Colors tween over
+   * NETWORK_CONFIG.theme.transitionMs; node and edge blending switches at
+   * once, additive on dark backgrounds and normal on light ones where
+   * additive glow would wash out.
+   *
+   * @param {string} [theme] - 'light' or 'dark' (default: read from the page)
+   * @param {Object} [options]
+   * @param {boolean} [options.immediate] - Skip the tween
+   * @param {Object} [options.colors] - readThemeColors() output read elsewhere (render-worker.js)
+   */
+  applyTheme(theme, options = {}) {
+    const { isLightMode, ...colors } = options.colors ?? this.readThemeColors(theme);
+    Object.assign(this.config, colors);
+    this.isLightMode = isLightMode;
+    if (!this.nodeMesh) return;
+    
+    const blending = isLightMode ? NormalBlending : AdditiveBlending;
+    for (const mesh of [this.nodeMesh, this.edgeMesh]) {
+      if (mesh.material.blending !== blending) {
+        mesh.material.blending = blending;
+        mesh.material.needsUpdate = true;
+      }
+    }
     
-    window.addEventListener('resize', this.handleResize);
+    const targets = [
+      [this.nodeMesh, colors.color],
+      [this.edgeMesh, colors.color],
+      [this.packetMesh, colors.packetColor],
+      [this.trailMesh, colors.packetColor]
+    ];
+    const now = performance.now();
+    this.themeTween = {
+      start: now,
+      duration: options.immediate || this.reducedMotion ? 0 : this.tuning.theme.transitionMs,
+      colors: targets.map(([mesh, to]) => {
+        const uniform = mesh.material.uniforms.color;
+        return { uniform, from: uniform.value.clone(), to: new Color(to) };
+      })
+    };
+    this.updateThemeTween(now);
+    this.drawPoster();
+  }
+
+  onThemeChange(event) {
+    this.applyTheme(event.detail?.theme);
+  }
+
+  updateThemeTween(now) {
+    if (!this.themeTween) return;
+    
+    const { start, duration, colors } = this.themeTween;
+    const t = duration > 0 ? Math.min(1, (now - start) / duration) : 1;
+    const eased = t * t * (3 - 2 * t);
+    for (const { uniform, from, to } of colors) {
+      uniform.value.lerpColors(from, to, eased);
+    }
+    if (t >= 1) this.themeTween = null;
+  }
+
+  /**
+   * Subscribe to a network event: ready, tierchange, frame, nodeadded,
+   * noderemoved, linkremoved, packetdelivered, packetdropped, error, and with
+   * `interactive` the node/edge/packet hover and click events. Every event
+   * is also dispatched on the container as a CustomEvent with the same
+   * `detail`.
+   *
+   * @param {string} type
+   * @param {(detail: Object) => void} handler
+   * @returns {() => void} Unsubscribe
+   */
+  on(type, handler) {
+    let handlers = this.listeners.get(type);
+    if (!handlers) {
+      handlers = new Set();
+      this.listeners.set(type, handlers);
+    }
+    handlers.add(handler);
+    return () => this.off(type, handler);
+  }
+
+  off(type, handler) {
+    this.listeners.get(type)?.delete(handler);
+  }
+
+  emit(type, detail) {
+    const handlers = this.listeners.get(type);
+    if (handlers) {
+      for (const handler of [...handlers]) {
+        try {
+          handler(detail);
+        } catch (e) {
+          // A broken listener must not stall the animation loop
+          console.error(`ResilientNetwork "${type}" listener failed:`, e);
+        }
+      }
+    }
+    this.container?.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  emitReady() {
+    if (this.readyEmitted) return;
+    this.readyEmitted = true;
+    this.emit('ready', {
+      tier: this.tier,
+      nodeCount: this.nodes.length,
+      linkCount: this.index.linkCount
+    });
+  }
+
+  emitFrame() {
+    this.emit('frame', {
+      tick: this.simulationTick,
+      tier: this.tier,
+      nodeCount: this.nodes.length,
+      linkCount: this.index.linkCount
+    });
   }
 
   /**
-   * Detect which tier to use based on browser capabilities
+   * Detect which tier to use based on browser capabilities.
+   * This is only the starting point; the quality governor measures
+   * real frame times and can switch tiers later.
+   *
+   * @param {'baseline'|'enhanced'|'offscreen'} [preferred]
    */
-  detectTier() {
-    const hasWorker = typeof Worker !== 'undefined';
+  detectTier(preferred) {
+    // Inside render-worker.js, where the canvas has already been transferred
+    if (this.offscreenCanvas) return 'offscreen';
+    if (preferred === 'offscreen' && !this.offscreenFailed && canRenderOffscreen()) {
+      return 'offscreen';
+    }
     
-    // For now, simple detection. Could add performance benchmarking.
-    if (hasWorker) {
+    const hasWorker = typeof Worker !== 'undefined' && !this.workerFailed;
+    
+    if (hasWorker && preferred !== 'baseline') {
       return 'enhanced';
     }
     return 'baseline';
   }
 
+  /**
+   * Move the simulation between the main thread and the worker without
+   * a reload. Positions, links and failures carry over.
+   *
+   * @param {'baseline'|'enhanced'} tier
+   * @param {string} [reason] - Passed through to the tierchange event
+   * @returns {Promise<boolean>} false when already there, busy, or the worker is unavailable;
+   *   the offscreen tier doesn't switch, as its canvas belongs to the render worker
+   */
+  async switchTier(tier, reason = 'manual') {
+    if (!this.isRunning || tier === this.tier || this.switchingTier) return false;
+    if (this.tier === 'offscreen' || tier === 'offscreen') return false;
+    if (tier === 'enhanced' && (typeof Worker === 'undefined' || this.workerFailed)) return false;
+    
+    this.switchingTier = true;
+    const from = this.tier;
+    try {
+      if (tier === 'baseline') {
+        // The worker's copy has utilization counts and link metadata the frames don't carry
+        const snapshot = this.workerReady ? await this.getGraphSnapshot().catch(() => null) : null;
+        if (!this.isRunning || this.tier !== from) return false;
+        
+        this.stopWorker('Tier switched before the worker replied');
+        const nodeIds = new Set(this.nodes.map(n => n.id));
+        const links = snapshot
+          ? snapshot.links.filter(l => nodeIds.has(l.source) && nodeIds.has(l.target))
+          : this.links.map(l => ({ ...l }));
+        
+        this.tier = 'baseline';
+        this.applyTierConfig();
+        this.fitCapsToGraph(links.length);
+        this.initBaselineMode(links);
+        this.updateEdgeGeometry();
+      } else {
+        this.links = this.engine.links;
+        this.routingStats = this.getRoutingStats();
+        this.engine = null;
+        this.packetEngine = null;
+        this.packets = [];
+        this.lastSimulationTime = 0;
+        
+        this.tier = 'enhanced';
+        this.applyTierConfig();
+        this.fitCapsToGraph(this.links.length);
+        this.graphGeneration++;
+        await this.initEnhancedMode();
+        // The worker may have failed to start, in which case we're back on baseline
+        if (this.tier !== 'enhanced') return false;
+      }
+    } finally {
+      this.switchingTier = false;
+    }
+    
+    this.emit('tierchange', { from, to: this.tier, reason });
+    if (this.reducedMotion) void this.renderPoster();
+    return true;
+  }
+
+  /**
+   * Raise the caps of a freshly applied tier so they hold the current
+   * graph, growing the GPU buffers if needed. A tier switch never drops nodes.
+   */
+  fitCapsToGraph(linkCount) {
+    this.config.maxNodes = Math.max(this.config.maxNodes, this.nodes.length);
+    this.config.maxLinks = Math.max(this.config.maxLinks, linkCount);
+    if (this.config.maxNodes <= this.meshCapacity.nodes && this.config.maxLinks <= this.meshCapacity.links &&
+        (this.meshCapacity.curves || !this.tuning.bundling.enabled)) {
+      return;
+    }
+    
+    for (const mesh of [this.nodeMesh, this.edgeMesh, this.packetMesh, this.trailMesh]) {
+      this.scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    }
+    this.createMeshes();
+  }
+
+  stopWorker(reason) {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.workerReady = false;
+    this.pendingFrame = false;
+    this.sharedFrames = null;
+    for (const request of this.workerRequests.values()) {
+      request.reject(new Error(reason));
+    }
+    this.workerRequests.clear();
+  }
+
+  /**
+   * Start scaling quality to measured frame times, from the best level the
+   * current tier allows. Seeded runs keep fixed settings so they replay exactly.
+   */
+  initQualityGovernor(enabled) {
+    this.governor = null;
+    if (!enabled || this.deterministic) return;
+    
+    const settings = this.tuning.quality;
+    const workerAvailable = typeof Worker !== 'undefined' && !this.workerFailed;
+    this.qualityLevels = settings.levels.filter(level => level.tier !== 'enhanced' || workerAvailable);
+    let start = -1;
+    this.qualityLevels.forEach((level, i) => {
+      if (level.tier === this.tier) start = i;
+    });
+    if (start < 0) return;
+    
+    this.governor = new QualityGovernor({ ...settings, levels: this.qualityLevels }, start, performance.now());
+    this.applyQualityLevel(start);
+  }
+
+  /**
+   * Apply a quality level: node target, packet and trail budgets, pixel
+   * ratio and simulation step interval, switching tier first if needed.
+   */
+  async applyQualityLevel(index) {
+    const level = this.qualityLevels[index];
+    if (!level) return;
+    if (level.tier !== this.tier) {
+      await this.switchTier(level.tier, 'quality');
+      if (level.tier !== this.tier) return;
+    }
+    
+    const basePackets = NETWORK_CONFIG.packets;
+    this.qualityLevel = index;
+    this.config.targetNodeCount = Math.round(this.tuning.tiers[this.tier].targetNodeCount * level.scale);
+    this.tuning.packets = {
+      ...this.tuning.packets,
+      maxPackets: Math.min(this.packetCapacity, Math.round(basePackets.maxPackets * level.scale)),
+      minPackets: Math.round(basePackets.minPackets * level.scale),
+      trailMax: Math.min(this.trailCapacity, Math.round(basePackets.trailMax * level.scale))
+    };
+    this.tickIntervalMs = level.tickMs;
+    const engineUpdates = { targetNodeCount: this.config.targetNodeCount, packets: this.tuning.packets };
+    this.engine?.setConfig(engineUpdates);
+    this.worker?.postMessage({ type: 'setConfig', config: engineUpdates });
+    this.postWorkerPace();
+    this.renderer.setPixelRatio(Math.min(this.devicePixelRatio, level.pixelRatio));
+    this.updateViewportUniforms();
+    this.emit('qualitychange', { level: index, ...level });
+  }
+
   /**
    * Apply configuration based on tier
    */
@@ -187,105 +770,315 @@ export class ResilientNetwork {
         this.worker.onmessage = (e) => this.handleWorkerMessage(e);
         this.worker.onerror = (e) => {
           console.warn('Worker error, falling back to baseline:', e);
-          this.tier = 'baseline';
-          this.applyTierConfig();
-          this.initBaselineMode();
+          this.fallBackToBaseline(e);
           resolve();
         };
         
-        // Send initial data to worker
-        const nodeData = this.nodes.map(n => ({
-          id: n.id,
-          x: n.x,
-          y: n.y,
-          z: n.z,
-          vx: n.vx || 0,
-          vy: n.vy || 0,
-          vz: n.vz || 0,
-          size: n.size,
-          cluster: n.cluster
-        }));
-        
-        const linkData = this.links.map(l => ({
-          source: l.source.id !== undefined ? l.source.id : l.source,
-          target: l.target.id !== undefined ? l.target.id : l.target,
-          utilizedCount: l.utilizedCount || 0
-        }));
-        
-        this.worker.postMessage({
-          type: 'init',
-          initialNodes: nodeData,
-          initialLinks: linkData,
-          config: this.buildWorkerConfig()
-        });
+        this.postWorkerInit();
         
         // Resolve immediately - worker will signal when ready
         resolve();
       } catch (e) {
         console.warn('Failed to create worker, using baseline:', e);
-        this.tier = 'baseline';
-        this.applyTierConfig();
-        this.initBaselineMode();
+        this.fallBackToBaseline(e);
         resolve();
       }
     });
   }
 
+  /**
+   * Send the current node/link set to the worker, replacing its simulation
+   */
+  postWorkerInit() {
+    this.resetGraphIndex();
+    this.topologyVersion = 0;
+    const { nodes, links } = this.serializeGraphForWorker();
+    
+    // Seeded runs stay in lockstep with per-request frames so they replay exactly
+    let shared = null;
+    this.sharedFrames = null;
+    if (this.useSharedMemory && !this.deterministic && canShareMemory()) {
+      shared = createSharedFrames({
+        nodes: this.config.maxNodes,
+        links: this.config.maxLinks,
+        packets: this.packetCapacity,
+        trails: this.trailCapacity
+      });
+      const views = viewSharedFrames(shared);
+      this.sharedFrames = {
+        views,
+        staging: createStaging(views),
+        seq: 0,
+        tick: 0,
+        readAt: null
+      };
+    }
+    
+    this.worker.postMessage({
+      type: 'init',
+      generation: this.graphGeneration,
+      initialNodes: nodes,
+      initialLinks: links,
+      config: this.buildEngineConfig(),
+      routingStats: this.getRoutingStats(),
+      shared
+    });
+    if (shared) this.postWorkerPace();
+    // init clears the worker's failure state; carry ours over (tier switches)
+    if (this.failedNodeIds.size > 0 || this.failedLinkKeys.size > 0) {
+      this.worker.postMessage({
+        type: 'fail',
+        nodeIds: [...this.failedNodeIds],
+        linkKeys: [...this.failedLinkKeys]
+      });
+    }
+  }
+
+  /**
+   * Plain copies of this.nodes / this.links for init and replaceGraph
+   */
+  serializeGraphForWorker() {
+    const nodes = this.nodes.map(n => ({
+      id: n.id,
+      x: n.x,
+      y: n.y,
+      z: n.z,
+      vx: n.vx || 0,
+      vy: n.vy || 0,
+      vz: n.vz || 0,
+      size: n.size,
+      cluster: n.cluster,
+      meta: n.meta
+    }));
+    
+    const links = this.links.map(l => ({
+      source: l.source.id !== undefined ? l.source.id : l.source,
+      target: l.target.id !== undefined ? l.target.id : l.target,
+      utilizedCount: l.utilizedCount || 0,
+      weight: l.weight,
+      meta: l.meta
+    }));
+    return { nodes, links };
+  }
+
+  /**
+   * Send a worker request (see worker-protocol.js) and wait for its reply
+   *
+   * @returns {Promise<*>} The reply's result; rejects with the worker's error,
+   *   or when the worker stops first
+   */
+  requestWorker(type, payload = {}) {
+    return new Promise((resolve, reject) => {
+      const requestId = this.nextWorkerRequestId++;
+      this.workerRequests.set(requestId, { resolve, reject });
+      this.worker.postMessage({ type, requestId, ...payload });
+    });
+  }
+
+  /**
+   * Tell a free-running (shared memory) worker whether to tick and how often
+   */
+  postWorkerPace() {
+    if (!this.worker || !this.sharedFrames) return;
+    this.worker.postMessage({
+      type: 'run',
+      running: this.isVisible && this.isPageVisible && !this.reducedMotion,
+      intervalMs: Math.max(this.tuning.worker.freeRunMs, this.tickIntervalMs || 0)
+    });
+  }
+
+  /**
+   * Drop the worker and keep running on the main thread
+   */
+  fallBackToBaseline(error) {
+    this.stopWorker('Worker failed before the worker replied');
+    this.workerFailed = true;
+    const from = this.tier;
+    this.tier = 'baseline';
+    this.applyTierConfig();
+    // Keep the graph the worker was running, if it got that far
+    const links = this.links.length > 0 ? this.links.map(l => ({ ...l })) : null;
+    if (this.meshCapacity) {
+      this.fitCapsToGraph(this.links.length);
+    }
+    this.initBaselineMode(links);
+    
+    this.emit('error', { error, source: 'worker' });
+    if (from !== this.tier) {
+      this.emit('tierchange', { from, to: this.tier, reason: 'worker-error' });
+    }
+    // Late failures happen after init() already announced the tier
+    if (this.isRunning) {
+      this.emitReady();
+      if (this.governor) this.initQualityGovernor(true);
+    }
+  }
+
   /**
    * Handle messages from physics worker
    */
   handleWorkerMessage(e) {
     switch (e.data.type) {
       case 'ready':
+        if (e.data.protocolVersion !== PROTOCOL_VERSION) {
+          const error = new Error(`Worker protocol ${e.data.protocolVersion}, expected ${PROTOCOL_VERSION}`);
+          console.warn('Worker protocol mismatch, falling back to baseline:', error);
+          this.fallBackToBaseline(error);
+          break;
+        }
         this.workerReady = true;
         console.log(`✓ Worker ready: ${e.data.nodeCount} nodes, ${e.data.linkCount} links`);
+        this.emitReady();
         break;
         
       case 'frame':
-        this.handleWorkerFrame(e.data);
+        this.perf.workerRttMs = performance.now() - this.tickSentAt;
+        this.acceptWorkerFrame({
+          ...e.data,
+          positions: new Float32Array(e.data.positions),
+          linkIndices: new Uint32Array(e.data.linkIndices),
+          linkUtilization: new Uint32Array(e.data.linkUtilization),
+          linkCooling: new Uint8Array(e.data.linkCooling),
+          curveSlots: new Uint32Array(e.data.curveSlots),
+          curves: new Float32Array(e.data.curves),
+          packets: new Float32Array(e.data.packets),
+          packetInfo: new Int32Array(e.data.packetInfo),
+          trails: new Float32Array(e.data.trails)
+        }, 1);
         this.pendingFrame = false;
         break;
         
       case 'nodesAdded':
-        // Update local count
+        if (e.data.generation !== this.graphGeneration) break;
+        // Worker-made nodes arrive with their IDs and attributes before the frame that first shows them
+        for (const node of e.data.nodes) {
+          const added = { ...node, x: 0, y: 0, z: 0 };
+          this.nodes.push(added);
+          this.index.addNode(added);
+          this.emit('nodeadded', { node: { id: node.id, cluster: node.cluster } });
+        }
+        this.topologyVersion = e.data.topologyVersion;
+        break;
+        
+      case 'nodesRemoved':
+        if (e.data.generation !== this.graphGeneration) break;
+        this.removeWorkerNodes(e.data.ids, e.data.reason);
+        this.topologyVersion = e.data.topologyVersion;
+        break;
+        
+      case 'packetEvents':
+        if (e.data.generation !== this.graphGeneration) break;
+        for (const { type, ...detail } of e.data.events) {
+          this.emit(type, detail);
+        }
+        break;
+        
+      case 'linkRemoved':
+        if (e.data.generation === this.graphGeneration) {
+          this.emit('linkremoved', { link: { source: e.data.source, target: e.data.target }, reason: e.data.reason });
+        }
+        break;
+        
+      case 'reply': {
+        const request = this.workerRequests.get(e.data.requestId);
+        if (!request) break;
+        this.workerRequests.delete(e.data.requestId);
+        if (e.data.ok) {
+          request.resolve(e.data.result);
+        } else {
+          request.reject(new Error(e.data.error));
+        }
         break;
+      }
+    }
+  }
+
+  /**
+   * Pick up the newest frame the worker wrote into shared memory, if any
+   */
+  readSharedWorkerFrame() {
+    const shared = this.sharedFrames;
+    const frame = readSharedFrame(shared.views, shared.staging, shared.seq);
+    if (!frame) return;
+    
+    const now = performance.now();
+    // Free-running worker: report the interval between frames instead of a round trip
+    if (shared.readAt !== null) this.perf.workerRttMs = now - shared.readAt;
+    shared.readAt = now;
+    shared.seq = frame.seq;
+    const ticks = Math.max(1, frame.tick - shared.tick);
+    shared.tick = frame.tick;
+    this.acceptWorkerFrame(frame, ticks);
+  }
+
+  /**
+   * @param {Object} frame - positions, linkIndices, linkUtilization and the
+   *   packet-engine.js buffers, their counts, alpha, routing stats,
+   *   generation and topologyVersion
+   * @param {number} ticks - Simulation steps since the previous frame
+   */
+  acceptWorkerFrame(frame, ticks) {
+    this.perf.alpha = frame.alpha;
+    // Frames computed before a setGraph() belong to the old topology
+    if (frame.generation !== this.graphGeneration) return;
+    // A shared-memory frame can get ahead of the node deltas it depends on; the next one won't
+    if (frame.topologyVersion !== this.topologyVersion) return;
+    this.handleWorkerFrame(frame);
+    this.packets = this.decodePackets(frame);
+    this.writePacketGeometry(frame);
+    this.routingStats = { ...frame.stats, strategy: this.tuning.packets.routing };
+    this.simulationTick += ticks;
+    this.emitFrame();
+  }
+
+  /**
+   * Packet views for picking and inspection, shaped like PacketEngine
+   * packets, from a frame's packed buffers
+   */
+  decodePackets({ packets, packetInfo, packetCount }) {
+    const decoded = [];
+    for (let i = 0; i < packetCount; i++) {
+      const n = i * PACKET_INTS;
+      const source = this.nodes[packetInfo[n + 1]];
+      const target = this.nodes[packetInfo[n + 2]];
+      // Nodes the main thread hasn't heard about yet
+      if (!source || !target) continue;
+      decoded.push({
+        id: packetInfo[n],
+        source,
+        target,
+        destination: this.nodes[packetInfo[n + 3]]?.id,
+        kind: PACKET_KINDS[packetInfo[n + 4]],
+        progress: packets[i * PACKET_FLOATS + 4]
+      });
     }
+    return decoded;
   }
 
   /**
    * Apply frame data from worker to Three.js geometries
    */
   handleWorkerFrame(data) {
-    const positions = new Float32Array(data.positions);
-    const linkIndices = new Uint32Array(data.linkIndices);
+    const { positions, linkIndices, linkUtilization, linkCooling } = data;
     
-    const nodeCount = Math.min(data.nodeCount, this.config.maxNodes);
+    // The node list matches the worker's (same topologyVersion), index for index
+    const nodeCount = Math.min(data.nodeCount, this.nodes.length, this.config.maxNodes);
     const linkCount = Math.min(data.linkCount, this.config.maxLinks);
     
-    // Expand nodes array if worker has more nodes
-    while (this.nodes.length < nodeCount) {
-      this.nodes.push({
-        id: this.nodes.length,
-        x: 0, y: 0, z: 0,
-        size: randomBetween(this.tuning.nodes.sizeMin, this.tuning.nodes.sizeMax)
-      });
-    }
-    
     // Update node positions
     const nodePositions = this.nodeMesh.geometry.attributes.position.array;
     const nodeSizes = this.nodeMesh.geometry.attributes.size.array;
     const nodeAlphas = this.nodeMesh.geometry.attributes.alpha.array;
+    const nodeFailed = this.nodeMesh.geometry.attributes.failed.array;
     
     for (let i = 0; i < nodeCount; i++) {
       const srcOffset = i * 3;
       nodePositions[srcOffset] = positions[srcOffset];
       nodePositions[srcOffset + 1] = positions[srcOffset + 1];
       nodePositions[srcOffset + 2] = positions[srcOffset + 2];
-      if (!this.nodes[i].size) {
-        this.nodes[i].size = randomBetween(this.tuning.nodes.sizeMin, this.tuning.nodes.sizeMax);
-      }
       nodeSizes[i] = this.nodes[i].size;
       nodeAlphas[i] = 1.0;
+      nodeFailed[i] = this.failedNodeIds.has(this.nodes[i].id) ? 1 : 0;
       
       // Update local node array for interaction and packets
       this.nodes[i].x = positions[srcOffset];
@@ -295,109 +1088,57 @@ export class ResilientNetwork {
     this.nodeMesh.geometry.attributes.position.needsUpdate = true;
     this.nodeMesh.geometry.attributes.size.needsUpdate = true;
     this.nodeMesh.geometry.attributes.alpha.needsUpdate = true;
-    this.nodeMesh.geometry.setDrawRange(0, nodeCount);
-    
-    // Rebuild local links array for packet routing
-    this.links = [];
-    for (let i = 0; i < linkCount; i++) {
-      const sourceIdx = linkIndices[i * 2];
-      const targetIdx = linkIndices[i * 2 + 1];
-      
-      if (sourceIdx < nodeCount && targetIdx < nodeCount) {
-        this.links.push({
-          source: this.nodes[sourceIdx],
-          target: this.nodes[targetIdx],
-          utilizedCount: 0
-        });
-      }
-    }
-    
-    this.rebuildLinkKeyMap(this.links);
-    
-    // Update edge geometry
-    const edgePositions = this.edgeMesh.geometry.attributes.position.array;
-    const edgeOpacities = this.edgeMesh.geometry.attributes.opacity.array;
-    const baseOpacity = 0.6;
-    
-    let edgeIdx = 0;
-    let opIdx = 0;
-    
-    for (let i = 0; i < this.links.length; i++) {
-      const link = this.links[i];
-      const source = link.source;
-      const target = link.target;
-      
-      edgePositions[edgeIdx++] = source.x;
-      edgePositions[edgeIdx++] = source.y;
-      edgePositions[edgeIdx++] = source.z;
-      edgePositions[edgeIdx++] = target.x;
-      edgePositions[edgeIdx++] = target.y;
-      edgePositions[edgeIdx++] = target.z;
-      
-      const opacity = baseOpacity;
-      edgeOpacities[opIdx] = opacity;
-      opIdx++;
-      edgeOpacities[opIdx] = opacity;
-      opIdx++;
+    this.nodeMesh.geometry.attributes.failed.needsUpdate = true;
+    setDrawCount(this.nodeMesh.geometry, nodeCount);
+    this.writeNodeColors(this.nodeMesh.geometry, nodeCount);
+    if (this.highlightNodeIds) this.writeNodeHighlight(this.nodeMesh.geometry);
+    
+    // Links only change when the worker rewires or grows
+    if (this.frameLinks.sync(linkIndices, linkCount, this.nodes, nodeCount, linkUtilization, linkCooling)) {
+      this.links = this.frameLinks.links.filter(Boolean);
     }
+    this.frameLinks.copyCurves(data.curveSlots, data.curves, data.curveCount);
     
-    this.edgeMesh.geometry.attributes.position.needsUpdate = true;
-    this.edgeMesh.geometry.attributes.opacity.needsUpdate = true;
-    this.edgeMesh.geometry.setDrawRange(0, edgeIdx / 3);
+    this.updateEdgeGeometry(this.links);
   }
 
   /**
    * Initialize baseline mode (main thread simulation)
+   *
+   * @param {Object[]} [existingLinks] - Links to keep (tier switches); otherwise
+   *   the current graph's own
    */
-  initBaselineMode() {
-    const centers = buildCenters(
-      this.tuning.simulation.multiCenterCount,
-      this.tuning.simulation.multiCenterRadius
-    );
-    const useMultiCenter = centers.length > 1;
-    
-    const simulation = forceSimulation(this.nodes, 3)
-      .force("charge", forceManyBody().strength(this.tuning.simulation.chargeStrength));
-      
-    if (!useMultiCenter) {
-      simulation.force("center", forceCenter(0, 0, 0));
-    }
-    
-    simulation
-      .force("x", forceX()
-        .strength(this.tuning.simulation.centerStrength)
-        .x(d => centers[getCenterIndex(d, centers.length)].x))
-      .force("y", forceY()
-        .strength(this.tuning.simulation.centerStrength)
-        .y(d => centers[getCenterIndex(d, centers.length)].y))
-      .force("z", forceZ()
-        .strength(this.tuning.simulation.centerStrength)
-        .z(d => centers[getCenterIndex(d, centers.length)].z))
-      .stop();
-      
-    this.simulation = simulation;
-      
-    // Create initial links
-    const links = [];
-    this.nodes.forEach((node, i) => {
-      if (i < this.nodes.length - 1) {
-        links.push({ source: node.id, target: this.nodes[i+1].id, utilizedCount: 0 });
-      }
-      if (i < this.nodes.length - 2 && Math.random() > 0.6) {
-        links.push({ source: node.id, target: this.nodes[i+2].id, utilizedCount: 0 });
-      }
-      if (Math.random() < 0.015) {
-        const target = Math.floor(Math.random() * this.nodes.length);
-        if (target !== i) {
-          links.push({ source: node.id, target: this.nodes[target].id, utilizedCount: 0 });
+  initBaselineMode(existingLinks = null) {
+    this.links = existingLinks ?? this.links;
+    this.engine = new GraphEngine(this.buildEngineConfig(), {
+      nodes: this.nodes,
+      links: this.links,
+      random: this.random,
+      now: () => this.simulationNow(),
+      onLinkRemoved: (link, reason) => this.emit('linkremoved', { link, reason }),
+      onNodesAdded: (nodes) => {
+        for (const node of nodes) {
+          this.emit('nodeadded', { node: { id: node.id, cluster: node.cluster } });
+        }
+      },
+      onNodesRemoved: (ids, reason) => {
+        this.packetEngine.forgetNodes(ids);
+        for (const id of ids) {
+          this.failedNodeIds.delete(id);
+          this.emit('noderemoved', { node: { id }, reason });
         }
       }
     });
+    // A fresh engine starts healthy; carry ours over (tier switches)
+    this.engine.fail({ nodeIds: [...this.failedNodeIds], linkKeys: [...this.failedLinkKeys] });
     
-    this.simulation.force("link", forceLink(links).id(d => d.id)
-      .distance(this.tuning.simulation.linkDistance)
-      .strength(this.tuning.simulation.linkStrength));
-    this.links = links;
+    this.packetEngine = new PacketEngine(this.engine, {
+      stats: this.routingStats,
+      onDelivered: (p) => this.emit('packetdelivered', { packet: describePacket(p) }),
+      onDropped: (p, reason) => this.emit('packetdropped', { packet: describePacket(p), reason })
+    });
+    this.packets = this.packetEngine.packets;
+    this.packetBuffers = createPacketBuffers(this.packetCapacity, this.trailCapacity);
   }
 
   initVisibilityTracking() {
@@ -422,43 +1163,63 @@ export class ResilientNetwork {
     if (shouldRun && !this.animationFrameId) {
       this.animate();
     }
+    this.postWorkerPace();
   }
 
   initThree() {
     this.scene = new Scene();
     
-    this.camera = new PerspectiveCamera(60, this.width / this.height, 1, 1000);
+    this.camera = new PerspectiveCamera(60, this.width / this.height, 1, 3000);
     this.camera.position.z = 400;
+    this.cameraRig = new CameraRig(this.camera, this.tuning.camera);
 
     this.renderer = new WebGLRenderer({ 
+      ...(this.offscreenCanvas && { canvas: this.offscreenCanvas }),
       antialias: true, 
       alpha: true,
       powerPreference: "high-performance"
     });
-    this.renderer.setSize(this.width, this.height);
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    this.container.appendChild(this.renderer.domElement);
+    // An OffscreenCanvas has no style to size; the page sizes its placeholder
+    this.renderer.setSize(this.width, this.height, !this.offscreenCanvas);
+    this.renderer.setPixelRatio(Math.min(this.devicePixelRatio, 2));
+    if (this.offscreenCanvas) {
+      this.inputElement = this.container;
+    } else {
+      this.container.appendChild(this.renderer.domElement);
+      this.inputElement = this.renderer.domElement;
+    }
     
   }
 
   initData() {
-    // Generate initial clusters
+    if (!this.hasCustomGraph) {
+      this.generateRandomGraph();
+      this.resetGraphIndex();
+    }
+
+    this.createMeshes();
+  }
+
+  /**
+   * Generate the decorative default topology: random clusters chained together
+   */
+  generateRandomGraph() {
     const clusterCount = 10;
     const nodesPerCluster = Math.floor(this.config.nodeCount / clusterCount);
     
     for (let i = 0; i < clusterCount; i++) {
-      const cx = (Math.random() - 0.5) * 800;
-      const cy = (Math.random() - 0.5) * 400;
-      const cz = (Math.random() - 0.5) * 200;
+      const cx = (this.random() - 0.5) * 800;
+      const cy = (this.random() - 0.5) * 400;
+      const cz = (this.random() - 0.5) * 200;
       
       for (let j = 0; j < nodesPerCluster; j++) {
         this.nodes.push({
           id: i * nodesPerCluster + j,
-          x: cx + (Math.random() - 0.5) * 120,
-          y: cy + (Math.random() - 0.5) * 120,
-          z: cz + (Math.random() - 0.5) * 120,
+          x: cx + (this.random() - 0.5) * 120,
+          y: cy + (this.random() - 0.5) * 120,
+          z: cz + (this.random() - 0.5) * 120,
           vx: 0, vy: 0, vz: 0,
-          size: randomBetween(this.tuning.nodes.sizeMin, this.tuning.nodes.sizeMax),
+          size: randomBetween(this.tuning.nodes.sizeMin, this.tuning.nodes.sizeMax, this.random),
           cluster: i
         });
       }
@@ -470,16 +1231,30 @@ export class ResilientNetwork {
       if (i < this.nodes.length - 1) {
         this.links.push({ source: node.id, target: this.nodes[i+1].id, utilizedCount: 0 });
       }
-      if (i < this.nodes.length - 2 && Math.random() > 0.6) {
+      if (i < this.nodes.length - 2 && this.random() > 0.6) {
         this.links.push({ source: node.id, target: this.nodes[i+2].id, utilizedCount: 0 });
       }
+      if (this.random() < 0.015) {
+        const target = Math.floor(this.random() * this.nodes.length);
+        if (target !== i) {
+          this.links.push({ source: node.id, target: this.nodes[target].id, utilizedCount: 0 });
+        }
+      }
     });
+  }
 
-    // Create node geometry with enhanced attributes
-    const nodeGeo = new BufferGeometry();
-    nodeGeo.setAttribute('position', new BufferAttribute(new Float32Array(this.config.maxNodes * 3), 3));
-    nodeGeo.setAttribute('size', new BufferAttribute(new Float32Array(this.config.maxNodes), 1));
-    nodeGeo.setAttribute('alpha', new BufferAttribute(new Float32Array(this.config.maxNodes), 1));
+  createMeshes() {
+    // Node and edge geometry share one attribute layout across renderers (see mesh-geometry.js)
+    this.instanced = this.tuning.renderer.mode === 'instanced';
+    const instancedDefines = this.instanced ? { INSTANCED: '' } : {};
+    // Set by updateViewportUniforms()
+    const viewportUniforms = () => ({
+      resolution: { value: new Vector2(1, 1) },
+      pixelRatio: { value: 1 },
+      lineWidth: { value: 1 },
+      feather: { value: 1 }
+    });
+    const nodeGeo = createNodeGeometry(this.config.maxNodes, this.instanced);
     
     this.updateNodeGeometry(nodeGeo);
     
@@ -488,40 +1263,52 @@ export class ResilientNetwork {
     const nodeMat = new ShaderMaterial({
       uniforms: {
         color: { value: new Color(this.config.color) },
-        time: { value: 0 }
+        time: { value: 0 },
+        highlightActive: { value: 0 },
+        ...viewportUniforms()
       },
-      vertexShader: SHADERS.nodeVertex,
+      defines: instancedDefines,
+      vertexShader: this.instanced ? SHADERS.nodeInstancedVertex : SHADERS.nodeVertex,
       fragmentShader: SHADERS.nodeFragment,
       transparent: true,
       depthWrite: false,
       blending: blending
     });
     
-    this.nodeMesh = new Points(nodeGeo, nodeMat);
+    this.nodeMesh = this.instanced ? new Mesh(nodeGeo, nodeMat) : new Points(nodeGeo, nodeMat);
     this.scene.add(this.nodeMesh);
     
-    // Create edge geometry
+    // Create edge geometry: a segment per link, or room for every link to be a bundled curve
     const maxEdges = this.config.maxLinks;
-    const edgeGeo = new BufferGeometry();
-    edgeGeo.setAttribute('position', new BufferAttribute(new Float32Array(maxEdges * 2 * 3), 3));
-    edgeGeo.setAttribute('opacity', new BufferAttribute(new Float32Array(maxEdges * 2), 1));
+    const curves = !!this.tuning.bundling.enabled;
+    const edgeGeo = createEdgeGeometry(maxEdges * (curves ? CURVE_POINTS - 1 : 1), this.instanced);
     
     const edgeMat = new ShaderMaterial({
       uniforms: {
         color: { value: new Color(this.config.color) },
-        time: { value: 0 }
+        hotColor: { value: new Color(this.tuning.colors.edgeHot) },
+        coolingColor: { value: new Color(this.tuning.colors.edgeCooling) },
+        time: { value: 0 },
+        highlightActive: { value: 0 },
+        ...viewportUniforms()
       },
-      vertexShader: SHADERS.edgeVertex,
+      defines: instancedDefines,
+      vertexShader: this.instanced ? SHADERS.edgeInstancedVertex : SHADERS.edgeVertex,
       fragmentShader: SHADERS.edgeFragment,
       transparent: true,
       depthWrite: false,
       blending: blending
     });
     
-    this.edgeMesh = new LineSegments(edgeGeo, edgeMat);
+    this.edgeMesh = this.instanced ? new Mesh(edgeGeo, edgeMat) : new LineSegments(edgeGeo, edgeMat);
     this.scene.add(this.edgeMesh);
+    // Instanced bounds would come from the quad corners, not the graph
+    this.nodeMesh.frustumCulled = !this.instanced;
+    this.edgeMesh.frustumCulled = !this.instanced;
+    this.updateViewportUniforms();
 
     // Create packet geometry
+    this.meshCapacity = { nodes: this.config.maxNodes, links: maxEdges, curves };
     this.packetCapacity = Math.max(100, this.tuning.packets.maxPackets);
     const packetGeo = this.createPacketGeometry(this.packetCapacity);
     
@@ -541,6 +1328,7 @@ export class ResilientNetwork {
     
     // Create trail geometry for packet afterglow effect
     const maxTrails = this.tuning.packets.trailMax;  // Max trail points
+    this.trailCapacity = maxTrails;
     const trailGeo = new BufferGeometry();
     trailGeo.setAttribute('position', new BufferAttribute(new Float32Array(maxTrails * 3), 3));
     trailGeo.setAttribute('alpha', new BufferAttribute(new Float32Array(maxTrails), 1));
@@ -563,101 +1351,193 @@ export class ResilientNetwork {
   }
 
 
-  spawnCluster(x, y) {
-    if (this.nodes.length >= this.config.maxNodes - 30) return;
-    
-    if (this.tier === 'enhanced' && this.worker) {
-      // Delegate to worker
-      this.worker.postMessage({ type: 'addCluster', x, y, z: 0 });
-      this.lastInteractionTime = Date.now();
+  /**
+   * Replace the current topology with a caller-supplied graph.
+   * Nodes keep their IDs, clusters, sizes and metadata; before init() the
+   * graph is held until the tier (and its node/link caps) is known.
+   *
+   * @param {{ nodes: Object[], links?: Object[] }} graph
+   * @param {Object} [options]
+   * @param {boolean} [options.evolve] - Let growth and edge culling rewrite the graph (default: false)
+   */
+  setGraph(graph, options = {}) {
+    this.evolve = options.evolve ?? false;
+    if (!this.isRunning) {
+      this.pendingGraph = graph;
       return;
     }
     
-    // Baseline: handle locally
-    const count = 15 + Math.floor(Math.random() * 15);
-    const newNodes = [];
-    const clusterId = Math.floor(Math.random() * 10000);
-    
-    for (let i = 0; i < count; i++) {
-      const node = {
-        id: Date.now() + i + Math.random(),
-        x: x + (Math.random() - 0.5) * 80,
-        y: y + (Math.random() - 0.5) * 80,
-        z: (Math.random() - 0.5) * 80,
-        vx: 0, vy: 0, vz: 0,
-        size: randomBetween(this.tuning.nodes.clusterSizeMin, this.tuning.nodes.clusterSizeMax),
-        cluster: clusterId
-      };
-      newNodes.push(node);
-      this.nodes.push(node);
-    }
+    this.applyGraphData(this.normalizeInputGraph(graph));
+    this.packets = [];
+    this.trailCount = 0;
+    this.failedNodeIds = new Set();
+    this.failedLinkKeys = new Set();
     
-    const newLinks = [];
-    for (let i = 0; i < count - 1; i++) {
-      newLinks.push({ source: newNodes[i].id, target: newNodes[i+1].id, utilizedCount: 0 });
-      if (Math.random() > 0.6 && i < count - 2) {
-        newLinks.push({ source: newNodes[i].id, target: newNodes[i+2].id, utilizedCount: 0 });
-      }
+    if (this.tier === 'enhanced' && this.worker) {
+      // The worker keeps its engines and transport; frames from the old graph are dropped by generation
+      this.topologyVersion = 0;
+      this.worker.postMessage({ type: 'setConfig', config: { evolve: this.evolve } });
+      this.requestWorker('replaceGraph', {
+        generation: this.graphGeneration,
+        ...this.serializeGraphForWorker()
+      }).catch((error) => {
+        // A stopped worker takes the graph with it; anything else is worth a warning
+        if (this.worker) console.warn('Worker failed to replace the graph:', error);
+      });
+    } else if (this.engine) {
+      this.engine.setConfig({ evolve: this.evolve });
+      this.engine.setGraph(this.nodes, this.links);
+      this.packetEngine.reset();
+      this.packets = this.packetEngine.packets;
+      this.updateEdgeGeometry();
     }
     
-    this.simulation.nodes(this.nodes);
-    const currentLinks = this.simulation.force("link").links();
-    this.simulation.force("link").links([...currentLinks, ...newLinks]);
-    this.simulation.alpha(0.8).restart();
-    
-    this.lastInteractionTime = Date.now();
     this.updateNodeGeometry(this.nodeMesh.geometry);
+    if (this.reducedMotion) void this.renderPoster();
   }
 
-  spawnNode() {
+  /**
+   * Read back the current topology, including worker-side utilization counts.
+   *
+   * @returns {Promise<{ nodes: Object[], links: Object[] }>}
+   */
+  getGraphSnapshot() {
     if (this.tier === 'enhanced' && this.worker) {
-      // Worker handles progressive growth
-      return;
+      return this.requestWorker('snapshot');
     }
     
-    // Baseline: spawn on main thread
-    const angle = Math.random() * Math.PI * 2;
-    const r = 250;
-    const newNode = {
-      id: Date.now() + Math.random(),
-      x: Math.cos(angle) * r,
-      y: Math.sin(angle) * r,
-      z: (Math.random() - 0.5) * 80,
-      vx: -Math.cos(angle) * 0.5,
-      vy: -Math.sin(angle) * 0.5,
-      vz: 0,
-      size: randomBetween(this.tuning.nodes.spawnSizeMin, this.tuning.nodes.spawnSizeMax)
-    };
+    const links = this.engine ? this.engine.links : this.links;
+    return Promise.resolve(snapshotGraph(this.nodes, links));
+  }
+
+  /**
+   * Remove nodes and every link touching them. 'noderemoved' fires for each.
+   *
+   * @param {Array<string|number>} ids
+   * @returns {Promise<Array<string|number>>} IDs of the nodes that existed
+   */
+  async removeNodes(ids) {
+    if (this.tier === 'enhanced' && this.worker) {
+      return (await this.requestWorker('removeNodes', { ids })).removed;
+    }
+    return this.engine ? this.engine.removeNodes(ids) : [];
+  }
+
+  /**
+   * Remove links by their endpoint IDs. 'linkremoved' fires for each.
+   *
+   * @param {Array<{ source: string|number, target: string|number }>} links
+   * @returns {Promise<Array<{ source, target }>>} Endpoints of the links that existed
+   */
+  async removeLinks(links) {
+    const pairs = links.map(({ source, target }) => ({
+      source: source?.id ?? source,
+      target: target?.id ?? target
+    }));
+    for (const { source, target } of pairs) {
+      this.failedLinkKeys.delete(buildEdgeKey(source, target));
+    }
+    if (this.tier === 'enhanced' && this.worker) {
+      return (await this.requestWorker('removeLinks', { links: pairs })).removed;
+    }
+    const removed = this.engine ? this.engine.removeLinks(pairs) : [];
+    if (removed.length > 0) this.updateEdgeGeometry();
+    return removed;
+  }
+
+  /**
+   * Go back to the graph the simulation was last given (setGraph(), the
+   * startup graph or a tier switch), dropping growth, removals, failures
+   * and packets since.
+   *
+   * @returns {Promise<{ nodes: Object[], links: Object[] }>} Snapshot of the restored graph
+   */
+  async resetGraph() {
+    this.failedNodeIds = new Set();
+    this.failedLinkKeys = new Set();
+    this.packets = [];
+    this.trailCount = 0;
     
-    this.nodes.push(newNode);
-    this.simulation.nodes(this.nodes);
-    
-    // Find nearest for connection
-    let nearest = null;
-    let minDst = Infinity;
-    for (const n of this.nodes) {
-      if (n === newNode) continue;
-      const dst = (n.x-newNode.x)**2 + (n.y-newNode.y)**2 + (n.z-newNode.z)**2;
-      if (dst < minDst) {
-        minDst = dst;
-        nearest = n;
-      }
+    if (this.tier === 'enhanced' && this.worker) {
+      const generation = ++this.graphGeneration;
+      const snapshot = await this.requestWorker('reset', { generation });
+      // A later setGraph() or reset owns the node list now
+      if (generation !== this.graphGeneration) return snapshot;
+      this.nodes = snapshot.nodes;
+      this.links = snapshot.links;
+      this.resetGraphIndex();
+      this.topologyVersion = 0;
+      this.updateNodeGeometry(this.nodeMesh.geometry);
+      return snapshot;
     }
     
-    if (nearest && minDst < 180*180) {
-      const links = this.simulation.force("link").links();
-      links.push({ source: newNode.id, target: nearest.id, utilizedCount: 0 });
-      this.simulation.force("link").links(links);
+    if (this.engine) {
+      this.engine.reset();
+      this.nodes = this.engine.nodes;
+      this.links = this.engine.links;
+      this.packetEngine.reset();
+      this.packets = this.packetEngine.packets;
+      this.updateEdgeGeometry();
+      this.updateNodeGeometry(this.nodeMesh.geometry);
     }
+    return snapshotGraph(this.nodes, this.links);
+  }
+
+  /**
+   * Serialize the current topology.
+   *
+   * @param {'json'|'graphml'|'gexf'|'dot'} [format]
+   * @returns {Promise<string>}
+   */
+  async exportGraph(format = 'json') {
+    return serializeTopology(await this.getGraphSnapshot(), format);
+  }
+
+  /**
+   * Parse topology text (format detected when omitted) and show it.
+   *
+   * @param {string} text
+   * @param {'json'|'graphml'|'gexf'|'dot'} [format]
+   * @param {{ evolve?: boolean }} [options]
+   */
+  importGraph(text, format, options) {
+    this.setGraph(parseTopology(text, format), options);
+  }
+
+  normalizeInputGraph(graph) {
+    return normalizeGraph(graph, {
+      random: this.random,
+      maxNodes: this.config.maxNodes,
+      maxLinks: this.config.maxLinks,
+      nodes: this.tuning.nodes
+    });
+  }
+
+  applyGraphData(graph) {
+    this.nodes = graph.nodes;
+    this.links = graph.links;
+    this.resetGraphIndex();
+    this.hasCustomGraph = true;
+    this.graphGeneration++;
+  }
+
+  spawnCluster(x, y) {
+    if (this.nodes.length >= this.config.maxNodes - 30) return;
     
-    this.simulation.alphaTarget(0.2).restart();
-    this.updateNodeGeometry(this.nodeMesh.geometry);
+    if (this.tier === 'enhanced' && this.worker) {
+      // Delegate to worker
+      this.worker.postMessage({ type: 'addCluster', x, y, z: 0 });
+    } else {
+      this.engine.addCluster(x, y, 0);
+      this.updateNodeGeometry(this.nodeMesh.geometry);
+    }
   }
 
   updateNodeGeometry(geo) {
     const positions = geo.attributes.position.array;
     const sizes = geo.attributes.size.array;
     const alphas = geo.attributes.alpha.array;
+    const failed = geo.attributes.failed.array;
     
     const len = Math.min(this.nodes.length, this.config.maxNodes);
     for (let i = 0; i < len; i++) {
@@ -666,28 +1546,116 @@ export class ResilientNetwork {
       positions[i * 3 + 2] = this.nodes[i].z;
       sizes[i] = this.nodes[i].size;
       alphas[i] = 1.0;
+      failed[i] = this.failedNodeIds.has(this.nodes[i].id) ? 1 : 0;
     }
     
     geo.attributes.position.needsUpdate = true;
     geo.attributes.size.needsUpdate = true;
     geo.attributes.alpha.needsUpdate = true;
-    geo.setDrawRange(0, len);
+    geo.attributes.failed.needsUpdate = true;
+    setDrawCount(geo, len);
+    this.writeNodeColors(geo, len);
+    if (this.highlightNodeIds) this.writeNodeHighlight(geo);
   }
 
-  buildEdgeKey(source, target) {
-    const sourceId = source && source.id !== undefined ? source.id : source;
-    const targetId = target && target.id !== undefined ? target.id : target;
-    if (sourceId === undefined || targetId === undefined) return null;
-    return sourceId < targetId ? `${sourceId}-${targetId}` : `${targetId}-${sourceId}`;
+  /**
+   * Group colors (see palette.js) for the first `count` nodes; ungrouped
+   * nodes keep the theme color
+   */
+  writeNodeColors(geo, count) {
+    const colors = geo.attributes.groupColor.array;
+    const grouped = geo.attributes.grouped.array;
+    for (let i = 0; i < count; i++) {
+      const color = this.palette.colorOf(this.nodes[i]);
+      grouped[i] = color ? 1 : 0;
+      if (color) color.toArray(colors, i * 3);
+    }
+    geo.attributes.groupColor.needsUpdate = true;
+    geo.attributes.grouped.needsUpdate = true;
   }
 
-  rebuildLinkKeyMap(links) {
-    this.linkByKey = new Map();
-    for (const link of links) {
-      const key = this.buildEdgeKey(link.source, link.target);
-      if (key) {
-        this.linkByKey.set(key, link);
-      }
+  /**
+   * Color nodes and edges by group, e.g. friend groups in a `meta.group`
+   * field. Groups take palette colors in the order they're first seen.
+   *
+   * @param {string|Object|null} settings - What to group by ('cluster', a node
+   *   field or 'meta.<field>'), null for the theme color alone, or overrides
+   *   for NETWORK_CONFIG.palette ({ by, colors, assign, crossEdges, edgeTint })
+   */
+  setPalette(settings) {
+    const updates = typeof settings === 'string' || settings === null ? { by: settings } : settings;
+    this.tuning.palette = { ...this.tuning.palette, ...updates };
+    this.palette = new CategoryPalette(this.tuning.palette);
+    if (!this.nodeMesh) return;
+    
+    this.updateNodeGeometry(this.nodeMesh.geometry);
+    // Enhanced tier edges pick this up with the next worker frame
+    if (this.tier !== 'enhanced' && this.engine) {
+      this.updateEdgeGeometry();
+    }
+  }
+
+  /**
+   * Curve links between clusters along shared corridors: hierarchical
+   * edge bundling, computed next to the layout (in the worker on the
+   * enhanced tier). Packets and trails follow the curves.
+   *
+   * @param {boolean|Object} settings - On or off, or overrides for
+   *   NETWORK_CONFIG.bundling ({ enabled, strength })
+   */
+  setBundling(settings) {
+    const updates = typeof settings === 'boolean' ? { enabled: settings } : settings;
+    this.tuning.bundling = { ...this.tuning.bundling, ...updates };
+    if (!this.edgeMesh) return;
+    
+    // Curves need more edge segments than the meshes may have room for
+    this.fitCapsToGraph(this.links.length);
+    const config = { bundling: this.tuning.bundling };
+    this.worker?.postMessage({ type: 'setConfig', config });
+    if (this.engine) {
+      this.engine.setConfig(config);
+      this.engine.bundleEdges();
+      this.updateEdgeGeometry();
+    }
+    this.renderPoster();
+  }
+
+  /**
+   * Node and link lookups: the engine's own index on the baseline tier,
+   * the one kept in step with worker frames otherwise
+   */
+  get index() {
+    return this.engine ? this.engine.index : this.localIndex;
+  }
+
+  /**
+   * Re-index this.nodes / this.links for the enhanced tier and forget the
+   * worker's link slots (new graph or new worker)
+   */
+  resetGraphIndex() {
+    this.localIndex.reset(this.nodes, this.links);
+    this.frameLinks.reset(this.links);
+  }
+
+  /**
+   * Mirror a worker node removal. Indices past the removed nodes shift, so
+   * the link slots are rebuilt from the next frame, keeping their link objects.
+   */
+  removeWorkerNodes(ids, reason) {
+    const removed = new Set(ids);
+    let kept = 0;
+    for (const node of this.nodes) {
+      if (!removed.has(node.id)) this.nodes[kept++] = node;
+    }
+    this.nodes.length = kept;
+    this.links = this.links.filter(link =>
+      !removed.has(link.source?.id ?? link.source) && !removed.has(link.target?.id ?? link.target)
+    );
+    for (const id of removed) this.failedNodeIds.delete(id);
+    this.localIndex.reset(this.nodes, this.links);
+    this.frameLinks.renumber();
+    for (const id of ids) {
+      this.emit('noderemoved', { node: { id }, reason });
     }
   }
 
@@ -695,14 +1663,28 @@ export class ResilientNetwork {
     if (nodeLike && nodeLike.x !== undefined) return nodeLike;
     const nodeId = nodeLike && nodeLike.id !== undefined ? nodeLike.id : nodeLike;
     if (nodeId === undefined || nodeId === null) return null;
-    return this.nodes.find(n => n.id === nodeId) || null;
+    return this.index.getNode(nodeId);
   }
 
-  updateEdgeGeometry() {
-    const links = this.simulation.force("link").links();
-    const positions = this.edgeMesh.geometry.attributes.position.array;
-    const opacities = this.edgeMesh.geometry.attributes.opacity.array;
-    const baseOpacity = 0.6;
+  /**
+   * Write link segments (one, or one per span of a bundled curve), group
+   * colors, heat, cooling, failure and highlight into the edge geometry
+   *
+   * @param {Object[]} [links] - Defaults to the baseline engine's
+   */
+  updateEdgeGeometry(links = this.engine.links) {
+    const attributes = this.edgeMesh.geometry.attributes;
+    const positions = attributes.position.array;
+    const opacities = attributes.opacity.array;
+    const heats = attributes.heat.array;
+    const coolingFlags = attributes.cooling.array;
+    const failedFlags = attributes.failed.array;
+    const highlights = attributes.highlight.array;
+    const groupColors = attributes.groupColor.array;
+    const groupedFlags = attributes.grouped.array;
+    const { heatScale, opacityMin, opacityMax } = this.tuning.edges;
+    const { crossEdges, edgeTint } = this.tuning.palette;
+    this.updateLinkHeat(links);
     
     let idx = 0;
     let opIdx = 0;
@@ -710,309 +1692,258 @@ export class ResilientNetwork {
     for (const link of links) {
       const source = link.source;
       const target = link.target;
+      // Meshes built before bundling was switched on draw curves straight
+      const curve = this.meshCapacity.curves ? link.curve : null;
+      const segments = curve ? CURVE_POINTS - 1 : 1;
       
-      if (!source || !target || idx > positions.length - 6) break;
+      if (!source || !target || idx > positions.length - 6 * segments) break;
       
-      positions[idx++] = source.x;
-      positions[idx++] = source.y;
-      positions[idx++] = source.z;
-      positions[idx++] = target.x;
-      positions[idx++] = target.y;
-      positions[idx++] = target.z;
-      
-      const opacity = baseOpacity;
-      
-      opacities[opIdx] = opacity;
-      opIdx++;
-      opacities[opIdx] = opacity;
-      opIdx++;
-    }
-    
-    this.rebuildLinkKeyMap(links);
-    this.edgeMesh.geometry.attributes.position.needsUpdate = true;
-    this.edgeMesh.geometry.attributes.opacity.needsUpdate = true;
-    this.edgeMesh.geometry.setDrawRange(0, idx / 3);
-  }
-
-
-  rebalanceEdgesByUtilization(now) {
-    const sweepMs = this.tuning.edges.utilizationSweepMs || 2000;
-    if (!this.lastUtilizationSweep) this.lastUtilizationSweep = now;
-    if (now - this.lastUtilizationSweep < sweepMs) return;
-    this.lastUtilizationSweep = now;
-    
-    const links = this.simulation.force("link").links();
-    if (!links || links.length < 2 || this.nodes.length < 2) return;
-    
-    const degrees = new Map();
-    for (const link of links) {
-      const sourceId = link.source?.id ?? link.source;
-      const targetId = link.target?.id ?? link.target;
-      degrees.set(sourceId, (degrees.get(sourceId) || 0) + 1);
-      degrees.set(targetId, (degrees.get(targetId) || 0) + 1);
-    }
-    
-    const sorted = links.slice().sort((a, b) => (a.utilizedCount || 0) - (b.utilizedCount || 0));
-    const cutoff = Math.max(1, Math.floor(sorted.length * (this.tuning.edges.utilizationCullPercentile || 0.5)));
-    let candidate = null;
-    for (let i = 0; i < cutoff; i++) {
-      const next = sorted[i];
-      const sourceId = next.source?.id ?? next.source;
-      const targetId = next.target?.id ?? next.target;
-      if ((degrees.get(sourceId) || 0) > 1 && (degrees.get(targetId) || 0) > 1) {
-        candidate = next;
-        break;
-      }
-    }
-    if (!candidate) return;
-    
-    const candidateIdx = links.indexOf(candidate);
-    if (candidateIdx >= 0) {
-      links.splice(candidateIdx, 1);
-    }
-    
-    const addReplacementLink = () => {
-      if (this.nodes.length < 2 || links.length >= this.config.maxLinks) return false;
-      
-      const source = this.nodes[Math.floor(Math.random() * this.nodes.length)];
-      let target = null;
-      
-      if (Math.random() < 0.75) {
-        const candidates = this.nodes.filter(n => n.cluster === source.cluster && n !== source);
-        if (candidates.length > 0) target = candidates[Math.floor(Math.random() * candidates.length)];
+      if (curve) {
+        for (let s = 0; s < segments; s++) {
+          for (let k = 0; k < 6; k++) positions[idx++] = curve[s * 3 + k];
+        }
+      } else {
+        positions[idx++] = source.x;
+        positions[idx++] = source.y;
+        positions[idx++] = source.z;
+        positions[idx++] = target.x;
+        positions[idx++] = target.y;
+        positions[idx++] = target.z;
       }
       
-      if (!target) target = this.nodes[Math.floor(Math.random() * this.nodes.length)];
-      
-      if (!source || !target || source === target) return false;
+      // Saturates toward 1 as recent traffic passes heatScale packets
+      const heat = 1 - Math.exp(-link.heat / heatScale);
+      const opacity = lerp(opacityMin, opacityMax, heat);
+      const cooling = link.cooling ? 1 : 0;
+      const failed = this.isLinkFailed(link) ? 1 : 0;
+      const highlight = this.getLinkHighlight(link);
       
-      const exists = links.some(l =>
-        (l.source === source && l.target === target) ||
-        (l.source === target && l.target === source) ||
-        (l.source.id === source.id && l.target.id === target.id) ||
-        (l.source.id === target.id && l.target.id === source.id)
-      );
+      // Each end takes its node's group color, so edges between groups blend along their length
+      const sourceColor = this.palette.colorOf(source);
+      const targetColor = this.palette.colorOf(target);
+      const tinted = (sourceColor || targetColor) && (crossEdges === 'blend' || sourceColor === targetColor);
+      const grouped = tinted ? edgeTint : 0;
       
-      if (!exists && links.length < this.config.maxLinks) {
-        links.push({ source, target, utilizedCount: 0 });
-        return true;
+      for (let vertex = 0; vertex < segments * 2; vertex++) {
+        if (tinted) {
+          // Segment s runs from s / segments to (s + 1) / segments of the way along
+          const along = (Math.floor(vertex / 2) + vertex % 2) / segments;
+          segmentColor.lerpColors(sourceColor ?? targetColor, targetColor ?? sourceColor, along).toArray(groupColors, opIdx * 3);
+        }
+        groupedFlags[opIdx] = grouped;
+        opacities[opIdx] = opacity;
+        heats[opIdx] = heat;
+        coolingFlags[opIdx] = cooling;
+        failedFlags[opIdx] = failed;
+        highlights[opIdx] = highlight;
+        opIdx++;
       }
-      
-      return false;
-    };
+    }
     
-    const added = addReplacementLink();
-    if (candidateIdx >= 0 || added) {
-      this.simulation.force("link").links(links);
-      this.simulation.alphaTarget(0.08).restart();
+    for (const name of ['position', 'groupColor', 'grouped', 'opacity', 'heat', 'cooling', 'failed', 'highlight']) {
+      attributes[name].needsUpdate = true;
     }
+    setDrawCount(this.edgeMesh.geometry, idx / 6, 2);
   }
 
-  spawnPacket() {
-    if (this.packets.length >= this.tuning.packets.maxPackets) return;
+  /**
+   * Decay each link's heat and add the packets that crossed it since the
+   * last call. Heat lives on the link objects, which persist across frames
+   * on both tiers (see LinkSlots).
+   */
+  updateLinkHeat(links) {
+    const now = this.simulationNow();
+    const elapsed = this.lastHeatAt === null ? 0 : Math.max(0, now - this.lastHeatAt);
+    this.lastHeatAt = now;
+    const decay = Math.pow(0.5, elapsed / this.tuning.edges.heatHalfLifeMs);
     
-    let links;
-    if (this.tier === 'enhanced') {
-      // Use local links array for packet spawning
-      links = this.links;
-    } else {
-      links = this.simulation.force("link").links();
+    for (const link of links) {
+      const count = link.utilizedCount || 0;
+      // New links start cold instead of flaring with the traffic they carried before
+      link.heat = link.heatCount === undefined
+        ? 0
+        : link.heat * decay + Math.max(0, count - link.heatCount);
+      link.heatCount = count;
     }
-    
-    if (!links || links.length === 0) return;
-    
-    const link = links[Math.floor(Math.random() * links.length)];
-    
-    if (!link || !link.source || !link.target) return;
+  }
 
-    const sourceNode = this.resolveNode(link.source);
-    const targetNode = this.resolveNode(link.target);
-    if (!sourceNode || !targetNode) return;
+
+  isLinkFailed(link) {
+    return isLinkFailed(link, this.failedNodeIds, this.failedLinkKeys);
+  }
+
+  /**
+   * Take a node down. Its links go dead and packets route around it.
+   *
+   * @param {string|number} id
+   * @returns {boolean} Whether a live node with that ID existed
+   */
+  failNode(id) {
+    return this.failNodes([id]).length > 0;
+  }
+
+  /**
+   * Take the link between two nodes down.
+   *
+   * @returns {boolean} Whether a live link between the nodes existed
+   */
+  failLink(sourceId, targetId) {
+    const key = buildEdgeKey(sourceId, targetId);
+    if (!key || this.failedLinkKeys.has(key) || !this.index.linkByKey.has(key)) return false;
     
-    this.packets.push({
-      source: sourceNode,
-      target: targetNode,
-      progress: 0,
-      speed: randomBetween(this.tuning.packets.speedMin, this.tuning.packets.speedMax),
-      intensity: randomBetween(this.tuning.packets.intensityMin, this.tuning.packets.intensityMax)
-    });
+    this.failedLinkKeys.add(key);
+    if (this.worker) {
+      this.worker.postMessage({ type: 'fail', linkKeys: [key] });
+    }
+    this.engine?.fail({ linkKeys: [key] });
+    this.onFailuresChanged();
+    return true;
   }
 
-  updatePackets() {
-    let links;
-    if (this.tier === 'enhanced') {
-      links = this.links;
-    } else if (this.simulation) {
-      links = this.simulation.force("link").links();
+  /**
+   * Take down every node within `radius` of (x, y) in scene units.
+   * The region is a column along z, like a cell tower's footprint.
+   *
+   * @returns {Array<string|number>} IDs of the nodes that failed
+   */
+  failRegion(x, y, radius) {
+    const radiusSq = radius * radius;
+    const ids = [];
+    for (const node of this.nodes) {
+      const dx = node.x - x;
+      const dy = node.y - y;
+      if (dx * dx + dy * dy <= radiusSq) ids.push(node.id);
     }
+    return this.failNodes(ids);
+  }
 
-    const utilizedEdgeKeys = [];
-    
-    for (let i = this.packets.length - 1; i >= 0; i--) {
-      const p = this.packets[i];
-      p.progress += p.speed;
-      
-      if (p.progress >= 1) {
-        const completedEdgeKey = this.buildEdgeKey(p.source, p.target);
-        if (completedEdgeKey) {
-          utilizedEdgeKeys.push(completedEdgeKey);
-          if (this.tier !== 'enhanced') {
-            const link = this.linkByKey.get(completedEdgeKey);
-            if (link) {
-              link.utilizedCount = (link.utilizedCount || 0) + 1;
-            }
-          }
-        }
+  /**
+   * Bring every failed node and link back.
+   */
+  restore() {
+    if (this.failedNodeIds.size === 0 && this.failedLinkKeys.size === 0) return;
+    this.failedNodeIds = new Set();
+    this.failedLinkKeys = new Set();
+    if (this.worker) {
+      this.worker.postMessage({ type: 'restore' });
+    }
+    this.engine?.restore();
+    this.onFailuresChanged();
+  }
 
-        if (Math.random() < this.tuning.packets.rerouteChance && links && links.length > 0) {
-          const nextLinks = links.filter(l => 
-            l.source === p.target || l.target === p.target ||
-            (l.source && l.source.id === p.target.id) || 
-            (l.target && l.target.id === p.target.id)
-          );
-          if (nextLinks.length > 0) {
-            const nextLink = nextLinks[Math.floor(Math.random() * nextLinks.length)];
-            const currentTarget = this.resolveNode(p.target) || p.target;
-            const nextSource = this.resolveNode(nextLink.source);
-            const nextTarget = this.resolveNode(nextLink.target);
-            if (nextSource || nextTarget) {
-              const currentId = currentTarget && currentTarget.id !== undefined ? currentTarget.id : currentTarget;
-              let chosenTarget = null;
-              if (nextSource && nextTarget) {
-                chosenTarget = (currentId !== undefined && nextSource.id === currentId) ? nextTarget : nextSource;
-              } else {
-                chosenTarget = nextSource || nextTarget;
-              }
-              if (chosenTarget) {
-                p.source = currentTarget;
-                p.target = chosenTarget;
-                p.progress = 0;
-                continue;
-              }
-            }
-          }
-        }
-        
-        this.packets.splice(i, 1);
-      }
+  failNodes(ids) {
+    const failed = [];
+    for (const id of ids) {
+      if (this.failedNodeIds.has(id) || !this.resolveNode(id)) continue;
+      this.failedNodeIds.add(id);
+      failed.push(id);
     }
+    if (failed.length === 0) return failed;
     
-    const positions = this.packetMesh.geometry.attributes.position.array;
-    const sizes = this.packetMesh.geometry.attributes.size.array;
-    const intensities = this.packetMesh.geometry.attributes.intensity.array;
-    
-    for (let i = 0; i < this.packetCapacity; i++) {
-      positions[i * 3] = 0;
-      positions[i * 3 + 1] = 0;
-      positions[i * 3 + 2] = -1000;
-      sizes[i] = 0;
-      intensities[i] = 0;
+    if (this.worker) {
+      this.worker.postMessage({ type: 'fail', nodeIds: failed });
     }
-    
-    this.packets.forEach((p, i) => {
-      if (i >= this.packetCapacity) return;
-      
-      const sourceX = p.source.x !== undefined ? p.source.x : 0;
-      const sourceY = p.source.y !== undefined ? p.source.y : 0;
-      const sourceZ = p.source.z !== undefined ? p.source.z : 0;
-      const targetX = p.target.x !== undefined ? p.target.x : 0;
-      const targetY = p.target.y !== undefined ? p.target.y : 0;
-      const targetZ = p.target.z !== undefined ? p.target.z : 0;
-      
-      const dx = targetX - sourceX;
-      const dy = targetY - sourceY;
-      const dz = targetZ - sourceZ;
-      const x = sourceX + dx * p.progress;
-      const y = sourceY + dy * p.progress;
-      const z = sourceZ + dz * p.progress;
-      
-      positions[i*3] = x;
-      positions[i*3+1] = y;
-      positions[i*3+2] = z;
-      sizes[i] = this.tuning.packets.size;
-      intensities[i] = p.intensity;
-      
-      // Add trail point for this packet (every 2nd frame to reduce density)
-      if (this.trails.length < this.tuning.packets.trailMax) {
-        const dirLen = Math.max(0.0001, Math.hypot(dx, dy));
-        this.trails.push({
-          x, y, z,
-          age: 0,
-          maxAge: randomBetween(this.tuning.packets.trailMaxAgeMin, this.tuning.packets.trailMaxAgeMax),
-          size: 6.0 + Math.random() * 4.0,
-          dirX: dx / dirLen,
-          dirY: dy / dirLen
-        });
-      }
-      
-    });
+    this.engine?.fail({ nodeIds: failed });
+    this.onFailuresChanged();
+    return failed;
+  }
 
-    if (this.tier === 'enhanced' && this.workerReady && utilizedEdgeKeys.length > 0) {
-      this.worker.postMessage({ type: 'utilized', edgeKeys: utilizedEdgeKeys });
+  onFailuresChanged() {
+    if (this.packetEngine) {
+      this.packetEngine.rerouteAroundFailures();
+      this.packets = this.packetEngine.packets;
+    }
+    this.updateNodeGeometry(this.nodeMesh.geometry);
+    if (this.tier !== 'enhanced' && this.engine) {
+      this.updateEdgeGeometry();
     }
-    
-    this.packetMesh.geometry.attributes.position.needsUpdate = true;
-    this.packetMesh.geometry.attributes.size.needsUpdate = true;
-    this.packetMesh.geometry.attributes.intensity.needsUpdate = true;
-    this.packetMesh.geometry.setDrawRange(0, Math.min(this.packets.length, this.packetCapacity));
   }
 
   /**
-   * Update packet trails - fading afterglow effect
+   * Switch packet routing to another strategy. Packets in flight are
+   * discarded so the new protocol starts from a clean network.
+   *
+   * @param {string} name - 'shortest-path', 'flooding', 'gossip' or 'aodv'
    */
-  updateTrails() {
-    // Age and remove old trails
-    for (let i = this.trails.length - 1; i >= 0; i--) {
-      this.trails[i].age++;
-      if (this.trails[i].age > this.trails[i].maxAge) {
-        this.trails.splice(i, 1);
+  setRoutingStrategy(name) {
+    if (this.packetEngine) {
+      name = this.packetEngine.setRoutingStrategy(name);
+      this.packets = this.packetEngine.packets;
+    } else {
+      if (!ROUTING_STRATEGIES[name]) {
+        console.warn(`Unknown routing strategy "${name}", using ${DEFAULT_ROUTING_STRATEGY}`);
+        name = DEFAULT_ROUTING_STRATEGY;
       }
+      this.worker?.postMessage({ type: 'setRouting', name });
+      this.packets = [];
     }
-    
-    // Update trail geometry
-    const positions = this.trailMesh.geometry.attributes.position.array;
-    const alphas = this.trailMesh.geometry.attributes.alpha.array;
-    const sizes = this.trailMesh.geometry.attributes.size.array;
-    const dirs = this.trailMesh.geometry.attributes.dir.array;
-    
-    const maxTrails = this.tuning.packets.trailMax;
-    
-    // Clear all positions first
-    for (let i = 0; i < maxTrails; i++) {
-      positions[i * 3] = 0;
-      positions[i * 3 + 1] = 0;
-      positions[i * 3 + 2] = -1000;  // Move off-screen
-      alphas[i] = 0;
-      sizes[i] = 0;
-      dirs[i * 2] = 1;
-      dirs[i * 2 + 1] = 0;
+    this.tuning.packets = { ...this.tuning.packets, routing: name };
+    this.routingStats = {
+      strategy: name,
+      originated: 0,
+      delivered: 0,
+      dropped: 0,
+      transmissions: 0,
+      controlTransmissions: 0
+    };
+  }
+
+  /**
+   * Counters since the strategy was selected, for comparing protocols:
+   * data packets originated/delivered/dropped and link transmissions
+   * (control = route discovery traffic).
+   */
+  getRoutingStats() {
+    return { ...(this.packetEngine ? this.packetEngine.stats : this.routingStats) };
+  }
+
+  /**
+   * Upload packed packets and trails (packet-engine.js layout) to the GPU
+   */
+  writePacketGeometry({ packets, packetCount, trails, trailCount }) {
+    const packetGeo = this.packetMesh.geometry;
+    const count = Math.min(packetCount, this.packetCapacity);
+    const positions = packetGeo.attributes.position.array;
+    const sizes = packetGeo.attributes.size.array;
+    const intensities = packetGeo.attributes.intensity.array;
+    for (let i = 0; i < count; i++) {
+      const f = i * PACKET_FLOATS;
+      positions[i * 3] = packets[f];
+      positions[i * 3 + 1] = packets[f + 1];
+      positions[i * 3 + 2] = packets[f + 2];
+      sizes[i] = this.tuning.packets.size;
+      intensities[i] = packets[f + 3];
     }
-    
-    // Update active trails
-    this.trails.forEach((t, i) => {
-      if (i >= maxTrails) return;
-      
-      positions[i * 3] = t.x;
-      positions[i * 3 + 1] = t.y;
-      positions[i * 3 + 2] = t.z;
-      
-      // Fade out based on age
-      const life = 1.0 - (t.age / t.maxAge);
-      alphas[i] = life * life;  // Quadratic falloff for smoother fade
-      sizes[i] = t.size * (0.6 + life * 0.8);  // Keep longer tail as it fades
-      dirs[i * 2] = t.dirX ?? 1;
-      dirs[i * 2 + 1] = t.dirY ?? 0;
-    });
-    
-    this.trailMesh.geometry.attributes.position.needsUpdate = true;
-    this.trailMesh.geometry.attributes.alpha.needsUpdate = true;
-    this.trailMesh.geometry.attributes.size.needsUpdate = true;
-    this.trailMesh.geometry.attributes.dir.needsUpdate = true;
-    this.trailMesh.geometry.setDrawRange(0, Math.min(this.trails.length, maxTrails));
+    packetGeo.attributes.position.needsUpdate = true;
+    packetGeo.attributes.size.needsUpdate = true;
+    packetGeo.attributes.intensity.needsUpdate = true;
+    packetGeo.setDrawRange(0, count);
+    
+    const trailGeo = this.trailMesh.geometry;
+    this.trailCount = Math.min(trailCount, this.trailCapacity);
+    const trailPositions = trailGeo.attributes.position.array;
+    const alphas = trailGeo.attributes.alpha.array;
+    const trailSizes = trailGeo.attributes.size.array;
+    const dirs = trailGeo.attributes.dir.array;
+    for (let i = 0; i < this.trailCount; i++) {
+      const f = i * TRAIL_FLOATS;
+      trailPositions[i * 3] = trails[f];
+      trailPositions[i * 3 + 1] = trails[f + 1];
+      trailPositions[i * 3 + 2] = trails[f + 2];
+      alphas[i] = trails[f + 3];
+      trailSizes[i] = trails[f + 4];
+      dirs[i * 2] = trails[f + 5];
+      dirs[i * 2 + 1] = trails[f + 6];
+    }
+    trailGeo.attributes.position.needsUpdate = true;
+    trailGeo.attributes.alpha.needsUpdate = true;
+    trailGeo.attributes.size.needsUpdate = true;
+    trailGeo.attributes.dir.needsUpdate = true;
+    trailGeo.setDrawRange(0, this.trailCount);
   }
 
   animate() {
-    if (!this.isVisible || !this.isPageVisible || !this.isRunning) {
+    if (!this.isVisible || !this.isPageVisible || !this.isRunning || this.reducedMotion) {
       this.animationFrameId = null;
       return;
     }
@@ -1025,39 +1956,33 @@ export class ResilientNetwork {
     // Update shader uniforms
     this.nodeMesh.material.uniforms.time.value = time;
     this.edgeMesh.material.uniforms.time.value = time;
+    this.updateThemeTween(now);
     
     if (this.tier === 'enhanced' && this.worker && this.workerReady) {
-      // Request physics frame from worker
-      if (!this.pendingFrame) {
+      if (this.sharedFrames) {
+        this.readSharedWorkerFrame();
+      } else if (!this.pendingFrame && now - this.tickSentAt >= (this.tickIntervalMs || 0)) {
+        // Request physics frame from worker
         this.pendingFrame = true;
         this.worker.postMessage({ type: 'tick' });
+        this.tickSentAt = performance.now();
       }
-    } else if (this.simulation) {
+    } else if (this.engine) {
       // Baseline: throttle simulation
       if (!this.lastSimulationTime) this.lastSimulationTime = now;
-      if (now - this.lastSimulationTime >= 33) {
+      if (now - this.lastSimulationTime >= (this.tickIntervalMs ?? this.tuning.simulation.tickMs)) {
         this.lastSimulationTime = now;
+        this.simulationTick++;
+        this.pendingPacketSteps++;
         
-        // Progressive node growth
-        if (this.nodes.length < this.config.targetNodeCount) {
-          if (now - this.lastSpawnTime > 200) {
-            this.spawnNode();
-            this.lastSpawnTime = now;
-          }
-        }
+        // Grows, retires and rewires when evolving
+        this.engine.tick();
         
-        // Auto-spawn clusters
-        if (Date.now() - this.lastInteractionTime > 15000 && this.nodes.length < this.config.maxNodes - 100) {
-          const x = (Math.random() - 0.5) * 600;
-          const y = (Math.random() - 0.5) * 250;
-          this.spawnCluster(x, y);
-          this.lastInteractionTime = Date.now();
+        // Update node geometry: everything after growth or retirement, positions otherwise
+        if (this.engine.topologyVersion !== this.topologyVersion) {
+          this.topologyVersion = this.engine.topologyVersion;
+          this.updateNodeGeometry(this.nodeMesh.geometry);
         }
-        
-        this.simulation.tick();
-        this.rebalanceEdgesByUtilization(now);
-        
-        // Update node geometry
         const nodePos = this.nodeMesh.geometry.attributes.position.array;
         const len = Math.min(this.nodes.length, this.config.maxNodes);
         for (let i = 0; i < len; i++) {
@@ -1068,38 +1993,137 @@ export class ResilientNetwork {
         this.nodeMesh.geometry.attributes.position.needsUpdate = true;
         
         this.updateEdgeGeometry();
+        this.perf.alpha = this.engine.alpha();
+        this.emitFrame();
       }
     }
     
-    // Update packets and trails
-    const minPackets = this.tuning.packets.minPackets || 0;
-    if (this.packets.length < minPackets) {
-      const needed = minPackets - this.packets.length;
-      for (let i = 0; i < needed; i++) {
-        this.spawnPacket();
+    // Baseline packets; seeded runs advance them once per simulation step so routes replay exactly
+    if (this.packetEngine) {
+      const packetSteps = this.deterministic ? this.pendingPacketSteps : 1;
+      for (let step = 0; step < packetSteps; step++) {
+        this.packetEngine.step();
       }
+      this.packets = this.packetEngine.packets;
+      const counts = this.packetEngine.pack(this.packetBuffers);
+      this.writePacketGeometry({ ...this.packetBuffers, ...counts });
     }
-    if (Math.random() < this.tuning.packets.spawnChance) this.spawnPacket();
-    this.updatePackets();
-    this.updateTrails();
+    this.pendingPacketSteps = 0;
+    
+    this.cameraRig.update(now);
     
-    // Camera orbit
-    const camTime = now * 0.00008;
-    this.camera.position.x = Math.sin(camTime) * 500;
-    this.camera.position.z = Math.cos(camTime) * 500;
-    this.camera.lookAt(0, 0, 0);
+    // The graph moves under a still pointer, so hover is re-picked every frame
+    if (this.interactive) {
+      this.camera.updateMatrixWorld();
+      this.updateHover();
+    }
 
     this.renderer.render(this.scene, this.camera);
+    this.recordFrameTiming(now, performance.now());
+  }
+
+  /**
+   * Smooth frame rate and main-thread frame cost, then refresh the HUD
+   */
+  recordFrameTiming(frameStart, frameEnd) {
+    const smoothing = 0.1;
+    const perf = this.perf;
+    const cost = frameEnd - frameStart;
+    if (perf.lastFrameAt !== null) {
+      const interval = Math.max(1, frameStart - perf.lastFrameAt);
+      perf.fps = perf.fps ? perf.fps + (1000 / interval - perf.fps) * smoothing : 1000 / interval;
+      
+      if (this.governor && !this.switchingTier) {
+        const level = this.governor.sample(interval, cost, frameEnd);
+        if (level !== null) this.applyQualityLevel(level);
+      }
+    }
+    perf.lastFrameAt = frameStart;
+    perf.frameMs += (cost - perf.frameMs) * smoothing;
+    
+    if (this.hud) {
+      this.hud.update(this.getDiagnostics(), frameEnd);
+    }
   }
 
-  buildWorkerConfig() {
+  /**
+   * Live performance and network-health figures, as shown by the HUD.
+   * Counts are paired with the caps they run into. With shared frames the
+   * worker isn't asked for frames, so workerRttMs is the time between them.
+   * On the offscreen tier they are the render worker's latest report.
+   */
+  getDiagnostics() {
+    if (this.offscreen) return this.offscreen.diagnostics;
     return {
+      tier: this.tier,
+      fps: this.perf.fps,
+      frameMs: this.perf.frameMs,
+      workerRttMs: this.tier === 'enhanced' ? this.perf.workerRttMs : null,
+      transport: this.tier === 'enhanced' ? (this.sharedFrames ? 'shared' : 'transfer') : null,
+      alpha: this.perf.alpha,
+      nodes: { count: this.nodes.length, max: this.config.maxNodes },
+      links: { count: this.index.linkCount, max: this.config.maxLinks },
+      packets: { count: this.packets.length, max: this.tuning.packets.maxPackets },
+      trails: { count: this.trailCount, max: this.tuning.packets.trailMax },
+      routing: this.getRoutingStats()
+    };
+  }
+
+  initHud(visible) {
+    const { toggleKey } = this.tuning.hud;
+    if (!visible && !toggleKey) return;
+    this.hud = new NetworkHud(this.container, this.tuning.hud);
+    this.hud.setVisible(visible);
+    if (toggleKey) {
+      window.addEventListener('keydown', this.handleHudKey);
+    }
+  }
+
+  onHudKey(event) {
+    if (event.key !== this.tuning.hud.toggleKey || event.ctrlKey || event.metaKey || event.altKey) return;
+    const target = event.target;
+    if (target instanceof HTMLElement && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) {
+      return;
+    }
+    this.toggleHud();
+  }
+
+  /**
+   * Show or hide the diagnostics overlay.
+   *
+   * @param {boolean} [visible] - Omit to flip the current state
+   */
+  toggleHud(visible) {
+    if (!this.hud) {
+      this.hud = new NetworkHud(this.container, this.tuning.hud);
+    }
+    this.hud.setVisible(visible ?? !this.hud.visible);
+  }
+
+  /**
+   * Simulation clock in ms: simulated ticks when seeded, wall clock otherwise
+   */
+  simulationNow() {
+    return this.deterministic
+      ? this.simulationTick * this.tuning.simulation.tickMs
+      : performance.now();
+  }
+
+  buildEngineConfig() {
+    return {
+      seed: this.tuning.seed,
       maxNodes: this.config.maxNodes,
       maxLinks: this.config.maxLinks,
+      targetNodeCount: this.config.targetNodeCount,
+      evolve: this.evolve,
       nodes: this.tuning.nodes,
       edges: this.tuning.edges,
+      growth: this.tuning.growth,
       packets: this.tuning.packets,
-      simulation: this.tuning.simulation
+      simulation: this.tuning.simulation,
+      bundling: this.tuning.bundling,
+      packetCapacity: this.packetCapacity,
+      trailCapacity: this.trailCapacity
     };
   }
 
@@ -1111,34 +2135,335 @@ export class ResilientNetwork {
     return packetGeo;
   }
 
+  initPointerInteraction() {
+    const canvas = this.inputElement;
+    canvas.addEventListener('pointermove', this.handlePointerMove);
+    canvas.addEventListener('pointerleave', this.handlePointerLeave);
+    canvas.addEventListener('click', this.handleClick);
+    canvas.style.touchAction = 'none';
+    this.cameraInput = attachCameraInput(canvas, this.cameraRig);
+  }
+
+  onPointerMove(event) {
+    const rect = this.inputElement.getBoundingClientRect();
+    this.pointer = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  onPointerLeave() {
+    this.pointer = null;
+  }
+
+  onClick(event) {
+    // The end of a camera drag is not a click on whatever is under it
+    if (this.cameraInput?.dragged) return;
+    const hit = this.pick(event.clientX, event.clientY);
+    if (hit) {
+      this.dispatchPick(`${hit.type}click`, hit);
+    }
+  }
+
+  /**
+   * What is under a viewport position: a node, else a packet, else an edge.
+   *
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {{ type: 'node', node: Object }|{ type: 'packet', packet: Object }|{ type: 'edge', edge: Object }|null}
+   *   Plain descriptions, safe to keep; see describeNode / describeEdge / describePacket
+   */
+  pick(clientX, clientY) {
+    if (!this.renderer) return null;
+    const rect = this.inputElement.getBoundingClientRect();
+    const hit = this.pickAt(clientX - rect.left, clientY - rect.top);
+    return hit ? this.describePick(hit) : null;
+  }
+
+  /**
+   * Pick in canvas CSS pixels. Among overlapping sprites the nearest to the camera wins.
+   *
+   * @returns {{ type: string, target: Object, key: * }|null}
+   */
+  pickAt(x, y) {
+    const pixelRatio = this.renderer.getPixelRatio();
+    // Instanced nodes are sized in CSS pixels, and edges may be wider than the tolerance
+    const nodePixelRatio = this.instanced ? 1 : pixelRatio;
+    const { pickRadius } = this.tuning.interaction;
+    const edgePickTolerance = this.instanced
+      ? Math.max(this.tuning.interaction.edgePickTolerance, this.tuning.renderer.edgeWidth / 2)
+      : this.tuning.interaction.edgePickTolerance;
+    const screen = new Map();
+    
+    let best = null;
+    let bestDepth = Infinity;
+    const len = Math.min(this.nodes.length, this.config.maxNodes);
+    for (let i = 0; i < len; i++) {
+      const node = this.nodes[i];
+      const point = projectToScreen(node, this.camera, this.width, this.height);
+      if (!point) continue;
+      screen.set(node.id, point);
+      
+      const radius = Math.max(pickRadius, pointRadius(node.size, point.depth, nodePixelRatio));
+      const dx = point.x - x;
+      const dy = point.y - y;
+      if (dx * dx + dy * dy <= radius * radius && point.depth < bestDepth) {
+        best = { type: 'node', target: node, key: node.id };
+        bestDepth = point.depth;
+      }
+    }
+    if (best) return best;
+    
+    for (const p of this.packets) {
+      const link = this.index.linkByKey.get(buildEdgeKey(p.source, p.target));
+      const point = projectToScreen(pointAlongLink(link, p.source, p.target, p.progress),
+        this.camera, this.width, this.height);
+      if (!point) continue;
+      
+      const radius = Math.max(pickRadius, pointRadius(this.tuning.packets.size, point.depth, pixelRatio));
+      const dx = point.x - x;
+      const dy = point.y - y;
+      if (dx * dx + dy * dy <= radius * radius && point.depth < bestDepth) {
+        best = { type: 'packet', target: p, key: p.id };
+        bestDepth = point.depth;
+      }
+    }
+    if (best) return best;
+    
+    let bestDistanceSq = edgePickTolerance * edgePickTolerance;
+    for (const [key, link] of this.index.linkByKey) {
+      const a = screen.get(link.source?.id ?? link.source);
+      const b = screen.get(link.target?.id ?? link.target);
+      if (!a || !b) continue;
+      
+      const distanceSq = link.curve ? this.curveDistanceSq(x, y, link.curve) : segmentDistanceSq(x, y, a, b);
+      if (distanceSq <= bestDistanceSq) {
+        best = { type: 'edge', target: link, key };
+        bestDistanceSq = distanceSq;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Squared CSS-pixel distance from (x, y) to a bundled curve on screen
+   */
+  curveDistanceSq(x, y, curve) {
+    let best = Infinity;
+    let previous = null;
+    for (let i = 0; i < CURVE_POINTS; i++) {
+      const point = projectToScreen({ x: curve[i * 3], y: curve[i * 3 + 1], z: curve[i * 3 + 2] },
+        this.camera, this.width, this.height);
+      if (point && previous) best = Math.min(best, segmentDistanceSq(x, y, previous, point));
+      previous = point;
+    }
+    return best;
+  }
+
+  /**
+   * Re-pick under the pointer and announce changes. Leaving an item
+   * dispatches its hover event with a null detail.
+   */
+  updateHover() {
+    if (!this.pointer && !this.hovered) return;
+    const hit = this.pointer ? this.pickAt(this.pointer.x, this.pointer.y) : null;
+    const previous = this.hovered;
+    if (previous?.type === hit?.type && previous?.key === hit?.key) return;
+    
+    this.hovered = hit;
+    this.inputElement.style.cursor = hit ? 'pointer' : '';
+    if (previous && previous.type !== hit?.type) {
+      this.dispatchPick(`${previous.type}hover`, null);
+    }
+    if (hit) {
+      this.dispatchPick(`${hit.type}hover`, hit);
+    }
+    this.setHighlightedNode(hit?.type === 'node' ? hit.target : null);
+  }
+
+  dispatchPick(type, hit) {
+    const description = hit ? this.describePick(hit) : null;
+    const kind = type.replace(/(hover|click)$/, '');
+    this.emit(type, { [kind]: description ? description[kind] : null });
+  }
+
+  describePick(hit) {
+    if (hit.type === 'node') return { type: 'node', node: this.describeNode(hit.target) };
+    if (hit.type === 'packet') return { type: 'packet', packet: describePacket(hit.target) };
+    return { type: 'edge', edge: this.describeEdge(hit.target) };
+  }
+
+  /**
+   * Inspectable copy of a node: caller metadata, live neighbors and failure state.
+   */
+  describeNode(node) {
+    const neighbors = this.getNeighborIds(node.id);
+    return {
+      id: node.id,
+      cluster: node.cluster,
+      size: node.size,
+      meta: node.meta ? { ...node.meta } : {},
+      failed: this.failedNodeIds.has(node.id),
+      degree: neighbors.length,
+      neighbors,
+      position: { x: node.x, y: node.y, z: node.z }
+    };
+  }
+
+  describeEdge(link) {
+    return {
+      source: link.source?.id ?? link.source,
+      target: link.target?.id ?? link.target,
+      weight: link.weight,
+      utilizedCount: link.utilizedCount || 0,
+      meta: link.meta ? { ...link.meta } : {},
+      failed: this.isLinkFailed(link)
+    };
+  }
+
+  getNeighborIds(nodeId) {
+    return this.index.getNeighborIds(nodeId);
+  }
+
+  /**
+   * Emphasize a node and its neighborhood, dimming everything else.
+   *
+   * @param {Object|null} node - null clears the highlight
+   */
+  setHighlightedNode(node) {
+    this.highlightNodeIds = null;
+    if (node) {
+      this.highlightNodeIds = new Map();
+      for (const id of this.getNeighborIds(node.id)) {
+        this.highlightNodeIds.set(id, 0.5);
+      }
+      this.highlightNodeIds.set(node.id, 1);
+      this.writeNodeHighlight(this.nodeMesh.geometry);
+    }
+    
+    const active = node ? 1 : 0;
+    this.nodeMesh.material.uniforms.highlightActive.value = active;
+    this.edgeMesh.material.uniforms.highlightActive.value = active;
+    // Enhanced tier edges pick this up with the next worker frame
+    if (this.tier !== 'enhanced' && this.engine) {
+      this.updateEdgeGeometry();
+    }
+  }
+
+  writeNodeHighlight(geo) {
+    const highlights = geo.attributes.highlight.array;
+    const len = Math.min(this.nodes.length, this.config.maxNodes);
+    for (let i = 0; i < len; i++) {
+      highlights[i] = this.highlightNodeIds.get(this.nodes[i].id) || 0;
+    }
+    geo.attributes.highlight.needsUpdate = true;
+  }
+
+  getLinkHighlight(link) {
+    if (!this.highlightNodeIds) return 0;
+    const sourceId = link.source?.id ?? link.source;
+    const targetId = link.target?.id ?? link.target;
+    return this.highlightNodeIds.get(sourceId) === 1 || this.highlightNodeIds.get(targetId) === 1 ? 1 : 0;
+  }
+
+  /**
+   * Fly the camera to a node and orbit it from close up.
+   *
+   * @returns {boolean} Whether the node exists
+   */
+  focusNode(id, { radius = this.tuning.camera.focusRadius } = {}) {
+    const node = this.resolveNode(id);
+    if (!node || !this.cameraRig) return false;
+    this.cameraRig.flyTo({ target: { x: node.x, y: node.y, z: node.z }, radius }, performance.now());
+    return true;
+  }
+
+  /**
+   * Fly the camera back far enough to frame every node.
+   */
+  fitToGraph() {
+    if (!this.cameraRig || this.nodes.length === 0) return;
+    
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    for (const node of this.nodes) {
+      for (const axis of ['x', 'y', 'z']) {
+        if (node[axis] < min[axis]) min[axis] = node[axis];
+        if (node[axis] > max[axis]) max[axis] = node[axis];
+      }
+    }
+    const center = {
+      x: (min.x + max.x) / 2,
+      y: (min.y + max.y) / 2,
+      z: (min.z + max.z) / 2
+    };
+    let extent = 0;
+    for (const node of this.nodes) {
+      extent = Math.max(extent, Math.hypot(node.x - center.x, node.y - center.y, node.z - center.z));
+    }
+    
+    const radius = this.cameraRig.distanceToFit(extent * this.tuning.camera.fitPadding, this.width / this.height);
+    this.cameraRig.flyTo({ target: center, radius }, performance.now());
+  }
+
   onResize() {
     this.width = this.container.clientWidth;
     this.height = this.container.clientHeight;
     this.camera.aspect = this.width / this.height;
     this.camera.updateProjectionMatrix();
-    this.renderer.setSize(this.width, this.height);
+    this.renderer.setSize(this.width, this.height, !this.offscreenCanvas);
+    this.updateViewportUniforms();
+    this.drawPoster();
+  }
+  
+  /**
+   * Instanced nodes and edges are sized in pixels, so they follow the
+   * drawing buffer size and pixel ratio
+   */
+  updateViewportUniforms() {
+    if (!this.instanced) return;
+    const pixelRatio = this.renderer.getPixelRatio();
+    const { edgeWidth, edgeFeather } = this.tuning.renderer;
+    for (const mesh of [this.nodeMesh, this.edgeMesh]) {
+      const uniforms = mesh.material.uniforms;
+      this.renderer.getDrawingBufferSize(uniforms.resolution.value);
+      uniforms.pixelRatio.value = pixelRatio;
+      uniforms.lineWidth.value = edgeWidth * pixelRatio;
+      uniforms.feather.value = edgeFeather;
+    }
   }
   
   destroy() {
     this.isRunning = false;
     
     window.removeEventListener('resize', this.handleResize);
+    window.removeEventListener('keydown', this.handleHudKey);
+    document.removeEventListener('themechange', this.handleThemeChange);
+    this.motionQuery?.removeEventListener('change', this.handleMotionChange);
+    this.hud?.destroy();
+    this.hud = null;
+    if (this.renderer && this.interactive) {
+      const canvas = this.inputElement;
+      canvas.removeEventListener('pointermove', this.handlePointerMove);
+      canvas.removeEventListener('pointerleave', this.handlePointerLeave);
+      canvas.removeEventListener('click', this.handleClick);
+    }
+    this.cameraInput?.detach();
+    this.cameraInput = null;
 
     if (this.animationFrameId) {
       cancelAnimationFrame(this.animationFrameId);
     }
     
-    if (this.worker) {
-      this.worker.terminate();
-      this.worker = null;
-    }
+    this.stopWorker('ResilientNetwork destroyed before the worker replied');
+    this.offscreen?.destroy();
+    this.offscreen = null;
     
-    if (this.renderer && this.renderer.domElement && this.container) {
+    if (this.renderer && this.renderer.domElement && this.container && !this.offscreenCanvas) {
       this.container.removeChild(this.renderer.domElement);
     }
     
     if (this.renderer) {
       this.renderer.dispose();
     }
+    
+    this.listeners.clear();
   }
 }
@@ -0,0 +1,427 @@
+/**
+ * Packet routing strategies.
+ *
+ * A strategy decides where packets go; PacketEngine only moves them
+ * along edges and asks the strategy what happens when one arrives.
+ *
+ *   originate(sourceId, destinationId) -> RouteHop[] | null
+ *   arrive(packet, nodeId, previousId) -> { status, hops: RouteHop[] }
+ *   lose(packet) -> boolean
+ *   expire()
+ *   reset()
+ *
+ * A RouteHop is `{ from, to, destination, kind, route }`. `kind` is 'data'
+ * or 'control' (route discovery traffic) and `route` is strategy state the
+ * packet carries to its next arrival. `status` is one of 'delivered',
+ * 'forwarded', 'buffered', 'suppressed' (a redundant copy that ends quietly)
+ * or 'dropped'. `previousId` is null when the packet was turned back by a
+ * failure rather than arriving over a working link.
+ *
+ * Every message that doesn't reach its destination is dropped exactly once:
+ * by an arrival answering 'dropped', by lose() answering true for a data
+ * packet PacketEngine took off the wire itself (congestion, failure,
+ * removal), or through context.dropHeld() for packets a strategy was
+ * holding when expire() or reset() gave up on them.
+ *
+ * Strategies see node IDs and the live topology only, through `context`:
+ *   getAdjacency() -> Map<id, Array<{ id, cost }>>  (failed links excluded)
+ *   random() -> number
+ *   now() -> ms
+ *   settings() -> NETWORK_CONFIG.packets
+ *   dropHeld(nodeId, destinationId, count, reason) -> void
+ */
+
+import { findPath } from './packet-routing.js';
+
+export const DEFAULT_ROUTING_STRATEGY = 'shortest-path';
+
+// Duplicate-suppression memory is bounded; the oldest messages are forgotten first
+const MAX_TRACKED_MESSAGES = 512;
+
+function createSeenTracker() {
+  const seen = new Map();
+  return {
+    /** @returns {boolean} false if `nodeId` already handled `messageKey` */
+    mark(messageKey, nodeId) {
+      let nodes = seen.get(messageKey);
+      if (!nodes) {
+        nodes = new Set();
+        seen.set(messageKey, nodes);
+        if (seen.size > MAX_TRACKED_MESSAGES) {
+          seen.delete(seen.keys().next().value);
+        }
+      }
+      if (nodes.has(nodeId)) return false;
+      nodes.add(nodeId);
+      return true;
+    },
+    clear() {
+      seen.clear();
+    }
+  };
+}
+
+function hasLiveLink(adjacency, fromId, toId) {
+  const neighbors = adjacency.get(fromId);
+  return !!neighbors && neighbors.some(n => n.id === toId);
+}
+
+function result(status, hops = []) {
+  return { status, hops };
+}
+
+/**
+ * Unicast along the cheapest path, recomputed whenever the next link is gone.
+ */
+function createShortestPathStrategy(context) {
+  const route = (fromId, destinationId) => {
+    const path = findPath(context.getAdjacency(), fromId, destinationId);
+    if (!path || path.length < 2) return null;
+    return { from: fromId, to: path[1], destination: destinationId, kind: 'data', route: { path, hop: 1 } };
+  };
+
+  return {
+    name: 'shortest-path',
+
+    originate(sourceId, destinationId) {
+      const hop = route(sourceId, destinationId);
+      return hop ? [hop] : null;
+    },
+
+    arrive(packet, nodeId) {
+      if (nodeId === packet.destination) return result('delivered');
+
+      const { path, hop } = packet.route;
+      const nextId = path[hop] === nodeId ? path[hop + 1] : undefined;
+      if (nextId !== undefined && hasLiveLink(context.getAdjacency(), nodeId, nextId)) {
+        return result('forwarded', [{
+          from: nodeId,
+          to: nextId,
+          destination: packet.destination,
+          kind: 'data',
+          route: { path, hop: hop + 1 }
+        }]);
+      }
+
+      const next = route(nodeId, packet.destination);
+      return next ? result('forwarded', [next]) : result('dropped');
+    },
+
+    lose() {
+      return true;
+    },
+
+    expire() {},
+
+    reset() {}
+  };
+}
+
+/**
+ * Broadcast to every neighbor, each node relaying a message at most once.
+ * `shouldRelay(route)` thins the fan-out per neighbor (gossip); flooding
+ * relays to all of them. Copies that die out quietly are only a drop when
+ * the last one goes without any having delivered.
+ */
+function createBroadcastStrategy(name, context, getSettings, shouldRelay) {
+  const seen = createSeenTracker();
+  // message -> { live, delivered }: copies still on the wire
+  const messages = new Map();
+  let nextMessageId = 0;
+
+  const relay = (nodeId, exceptId, destinationId, route) => {
+    const hops = [];
+    for (const neighbor of context.getAdjacency().get(nodeId) || []) {
+      if (neighbor.id === exceptId || !shouldRelay(route)) continue;
+      hops.push({ from: nodeId, to: neighbor.id, destination: destinationId, kind: 'data', route });
+    }
+    return hops;
+  };
+
+  /** One copy of `message` ended with `status`, launching `next` in its place */
+  const settle = (message, status, next = []) => {
+    const state = messages.get(message);
+    if (!state) return result(status, next);
+    if (status === 'delivered') state.delivered = true;
+    state.live += next.length - 1;
+    if (state.live > 0) return result(status, next);
+
+    messages.delete(message);
+    return result(status === 'suppressed' && !state.delivered ? 'dropped' : status, next);
+  };
+
+  return {
+    name,
+
+    originate(sourceId, destinationId) {
+      const message = nextMessageId++;
+      seen.mark(message, sourceId);
+      const hops = relay(sourceId, null, destinationId, { message, ttl: getSettings().ttl, hops: 0 });
+      if (hops.length === 0) return null;
+      messages.set(message, { live: hops.length, delivered: false });
+      return hops;
+    },
+
+    arrive(packet, nodeId, previousId) {
+      const { message, ttl, hops } = packet.route;
+      if (!seen.mark(message, nodeId)) return settle(message, 'suppressed');
+      if (nodeId === packet.destination) return settle(message, 'delivered');
+      if (ttl <= 1) return settle(message, 'suppressed');
+
+      const next = relay(nodeId, previousId, packet.destination, { message, ttl: ttl - 1, hops: hops + 1 });
+      return settle(message, next.length > 0 ? 'forwarded' : 'suppressed', next);
+    },
+
+    lose(packet) {
+      return settle(packet.route.message, 'suppressed').status === 'dropped';
+    },
+
+    expire() {},
+
+    reset() {
+      seen.clear();
+      messages.clear();
+    }
+  };
+}
+
+/**
+ * Managed flooding: every node relays every new message once, until its TTL runs out.
+ */
+function createFloodingStrategy(context) {
+  const settings = () => context.settings().flooding;
+  return createBroadcastStrategy('flooding', context, settings, () => true);
+}
+
+/**
+ * Probabilistic gossip: relay to each neighbor with a fixed probability once
+ * the message is past its first `fanoutHops` hops, which always flood.
+ */
+function createGossipStrategy(context) {
+  const settings = () => context.settings().gossip;
+  return createBroadcastStrategy('gossip', context, settings, (route) => {
+    const { probability, fanoutHops } = settings();
+    return route.hops < fanoutHops || context.random() < probability;
+  });
+}
+
+/**
+ * AODV-style on-demand routing. With no route, the source buffers its data
+ * and floods a route request (RREQ) that leaves reverse routes behind it;
+ * the destination, or a node with a fresh route, answers with a route reply
+ * (RREP) that installs forward routes on its way back. A node whose next hop
+ * goes down repairs locally by starting its own discovery.
+ */
+function createAodvStrategy(context) {
+  const settings = () => context.settings().aodv;
+  const seen = createSeenTracker();
+  // nodeId -> destinationId -> { nextHop, hops, expiresAt }
+  const routes = new Map();
+  // nodeId -> destinationId -> { count, requestedAt }
+  const buffered = new Map();
+  let nextRequestId = 0;
+
+  const lookup = (nodeId, destinationId) => {
+    const entry = routes.get(nodeId)?.get(destinationId);
+    if (!entry) return null;
+    if (entry.expiresAt <= context.now() || !hasLiveLink(context.getAdjacency(), nodeId, entry.nextHop)) {
+      routes.get(nodeId).delete(destinationId);
+      return null;
+    }
+    return entry;
+  };
+
+  const learn = (nodeId, destinationId, nextHop, hops) => {
+    let table = routes.get(nodeId);
+    if (!table) {
+      table = new Map();
+      routes.set(nodeId, table);
+    }
+    const existing = table.get(destinationId);
+    const expiresAt = context.now() + settings().routeLifetimeMs;
+    if (!existing || existing.expiresAt <= context.now() || hops <= existing.hops) {
+      table.set(destinationId, { nextHop, hops, expiresAt });
+    }
+  };
+
+  const forwardData = (nodeId, destinationId) => {
+    const entry = lookup(nodeId, destinationId);
+    if (!entry) return null;
+    entry.expiresAt = context.now() + settings().routeLifetimeMs;
+    return { from: nodeId, to: entry.nextHop, destination: destinationId, kind: 'data', route: { type: 'data' } };
+  };
+
+  const broadcastRequest = (nodeId, exceptId, destinationId, route) => {
+    const hops = [];
+    for (const neighbor of context.getAdjacency().get(nodeId) || []) {
+      if (neighbor.id === exceptId) continue;
+      hops.push({ from: nodeId, to: neighbor.id, destination: destinationId, kind: 'control', route });
+    }
+    return hops;
+  };
+
+  /**
+   * Hold a data packet at `nodeId` and start discovery unless one is already
+   * running. Packets held by a discovery that timed out are dropped first.
+   */
+  const buffer = (nodeId, destinationId) => {
+    let pending = buffered.get(nodeId);
+    if (!pending) {
+      pending = new Map();
+      buffered.set(nodeId, pending);
+    }
+    const now = context.now();
+    const entry = pending.get(destinationId);
+    if (entry && now - entry.requestedAt < settings().discoveryTimeoutMs) {
+      if (entry.count >= settings().maxBuffered) return result('dropped');
+      entry.count++;
+      return result('buffered');
+    }
+    if (entry) context.dropHeld(nodeId, destinationId, entry.count, 'unreachable');
+
+    pending.set(destinationId, { count: 1, requestedAt: now });
+    const requestId = nextRequestId++;
+    seen.mark(requestId, nodeId);
+    const hops = broadcastRequest(nodeId, null, destinationId, {
+      type: 'rreq',
+      origin: nodeId,
+      requestId,
+      hops: 0,
+      ttl: settings().ttl
+    });
+    return result('buffered', hops);
+  };
+
+  const release = (nodeId, destinationId) => {
+    const pending = buffered.get(nodeId);
+    const entry = pending?.get(destinationId);
+    if (!entry) return [];
+    pending.delete(destinationId);
+
+    const hops = [];
+    for (let i = 0; i < entry.count; i++) {
+      const hop = forwardData(nodeId, destinationId);
+      if (!hop) {
+        context.dropHeld(nodeId, destinationId, entry.count - i, 'unreachable');
+        break;
+      }
+      hops.push(hop);
+    }
+    return hops;
+  };
+
+  /** Give up on every held packet, or only on those whose discovery timed out */
+  const dropBuffered = (reason, expiredOnly) => {
+    const now = context.now();
+    for (const [nodeId, pending] of buffered) {
+      for (const [destinationId, entry] of pending) {
+        if (expiredOnly && now - entry.requestedAt < settings().discoveryTimeoutMs) continue;
+        pending.delete(destinationId);
+        context.dropHeld(nodeId, destinationId, entry.count, reason);
+      }
+      if (pending.size === 0) buffered.delete(nodeId);
+    }
+  };
+
+  const reply = (nodeId, previousId, request, hopsToDestination, destinationId) => ({
+    from: nodeId,
+    to: previousId,
+    destination: request.origin,
+    kind: 'control',
+    route: { type: 'rrep', target: destinationId, hops: hopsToDestination }
+  });
+
+  return {
+    name: 'aodv',
+
+    originate(sourceId, destinationId) {
+      if (!context.getAdjacency().has(sourceId)) return null;
+      const hop = forwardData(sourceId, destinationId);
+      if (hop) return [hop];
+      // A full buffer refuses the message rather than originating and losing it
+      const held = buffer(sourceId, destinationId);
+      return held.status === 'buffered' ? held.hops : null;
+    },
+
+    arrive(packet, nodeId, previousId) {
+      const route = packet.route;
+
+      if (route.type === 'rreq') {
+        if (previousId === null || !seen.mark(route.requestId, nodeId)) return result('suppressed');
+        learn(nodeId, route.origin, previousId, route.hops + 1);
+
+        if (nodeId === packet.destination) {
+          return result('forwarded', [reply(nodeId, previousId, route, 0, nodeId)]);
+        }
+        const cached = lookup(nodeId, packet.destination);
+        if (cached) {
+          return result('forwarded', [reply(nodeId, previousId, route, cached.hops, packet.destination)]);
+        }
+        if (route.ttl <= 1) return result('suppressed');
+
+        const hops = broadcastRequest(nodeId, previousId, packet.destination, {
+          ...route,
+          hops: route.hops + 1,
+          ttl: route.ttl - 1
+        });
+        return result(hops.length > 0 ? 'forwarded' : 'suppressed', hops);
+      }
+
+      if (route.type === 'rrep') {
+        if (previousId === null) return result('dropped');
+        learn(nodeId, route.target, previousId, route.hops + 1);
+
+        if (nodeId === packet.destination) {
+          return result('delivered', release(nodeId, route.target));
+        }
+        const back = lookup(nodeId, packet.destination);
+        if (!back) return result('dropped');
+        return result('forwarded', [{
+          from: nodeId,
+          to: back.nextHop,
+          destination: packet.destination,
+          kind: 'control',
+          route: { ...route, hops: route.hops + 1 }
+        }]);
+      }
+
+      if (nodeId === packet.destination) return result('delivered');
+      const hop = forwardData(nodeId, packet.destination);
+      return hop ? result('forwarded', [hop]) : buffer(nodeId, packet.destination);
+    },
+
+    lose() {
+      return true;
+    },
+
+    expire() {
+      dropBuffered('unreachable', true);
+    },
+
+    reset() {
+      dropBuffered('removed', false);
+      seen.clear();
+      routes.clear();
+    }
+  };
+}
+
+export const ROUTING_STRATEGIES = {
+  'shortest-path': createShortestPathStrategy,
+  flooding: createFloodingStrategy,
+  gossip: createGossipStrategy,
+  aodv: createAodvStrategy
+};
+
+/**
+ * @param {string} name - Key of ROUTING_STRATEGIES
+ * @param {Object} context - See the module comment
+ */
+export function createRoutingStrategy(name, context) {
+  const factory = ROUTING_STRATEGIES[name];
+  if (!factory) {
+    console.warn(`Unknown routing strategy "${name}", using ${DEFAULT_ROUTING_STRATEGY}`);
+    return ROUTING_STRATEGIES[DEFAULT_ROUTING_STRATEGY](context);
+  }
+  return factory(context);
+}
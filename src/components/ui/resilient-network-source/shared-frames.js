@@ -0,0 +1,170 @@
+/**
+ * Frame buffers shared between the physics worker and the renderer.
+ *
+ * When the page is cross-origin isolated, positions, link indices,
+ * utilization and cooling flags, bundled link curves (see edge-bundling.js),
+ * and the packed packets and trails (see packet-engine.js) live in
+ * SharedArrayBuffers that the worker writes in place. Frames then need no
+ * per-tick allocation, transfer or request. A sequence counter works as a
+ * seqlock: the worker makes it odd while writing and even when done, and
+ * the reader keeps a frame only if the counter was even and unchanged
+ * across its copy.
+ */
+
+import { CURVE_FLOATS } from './edge-bundling.js';
+import { PACKET_FLOATS, PACKET_INTS, TRAIL_FLOATS } from './packet-engine.js';
+
+// Int32 header slots
+const SEQ = 0;
+const GENERATION = 1;
+const TICK = 2;
+const NODE_COUNT = 3;
+const LINK_COUNT = 4;
+const PACKET_COUNT = 5;
+const TRAIL_COUNT = 6;
+const ALPHA = 7; // Read through the Float32 view
+const TOPOLOGY_VERSION = 8;
+const CURVE_COUNT = 9;
+const STATS = 10;
+const STAT_KEYS = ['originated', 'delivered', 'dropped', 'transmissions', 'controlTransmissions'];
+const HEADER_SLOTS = STATS + STAT_KEYS.length;
+
+// Array name -> [typed array constructor, count field, values per item]
+const ARRAYS = {
+  positions: [Float32Array, 'nodeCount', 3],
+  linkIndices: [Uint32Array, 'linkCount', 2],
+  linkUtilization: [Uint32Array, 'linkCount', 1],
+  linkCooling: [Uint8Array, 'linkCount', 1],
+  curveSlots: [Uint32Array, 'curveCount', 1],  // Link slot of each curve
+  curves: [Float32Array, 'curveCount', CURVE_FLOATS],
+  packets: [Float32Array, 'packetCount', PACKET_FLOATS],
+  packetInfo: [Int32Array, 'packetCount', PACKET_INTS],
+  trails: [Float32Array, 'trailCount', TRAIL_FLOATS]
+};
+
+/**
+ * Whether this context can share memory with a worker
+ */
+export function canShareMemory() {
+  return typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true;
+}
+
+/**
+ * @param {{ nodes: number, links: number, packets: number, trails: number }} capacity
+ * @returns {Object<string, SharedArrayBuffer>} Plain buffers so they can be posted to the worker
+ */
+export function createSharedFrames(capacity) {
+  const items = {
+    positions: capacity.nodes,
+    linkIndices: capacity.links,
+    linkUtilization: capacity.links,
+    linkCooling: capacity.links,
+    curveSlots: capacity.links,
+    curves: capacity.links,
+    packets: capacity.packets,
+    packetInfo: capacity.packets,
+    trails: capacity.trails
+  };
+  const buffers = { header: new SharedArrayBuffer(HEADER_SLOTS * 4) };
+  for (const [name, [ArrayType, , stride]] of Object.entries(ARRAYS)) {
+    buffers[name] = new SharedArrayBuffer(items[name] * stride * ArrayType.BYTES_PER_ELEMENT);
+  }
+  return buffers;
+}
+
+/**
+ * Typed views over the buffers from createSharedFrames()
+ */
+export function viewSharedFrames(buffers) {
+  const views = {
+    header: new Int32Array(buffers.header),
+    alpha: new Float32Array(buffers.header)
+  };
+  for (const [name, [ArrayType]] of Object.entries(ARRAYS)) {
+    views[name] = new ArrayType(buffers[name]);
+  }
+  return views;
+}
+
+/**
+ * Unshared arrays with the same capacity as `views`, for readSharedFrame()
+ */
+export function createStaging(views) {
+  const staging = {};
+  for (const [name, [ArrayType]] of Object.entries(ARRAYS)) {
+    staging[name] = new ArrayType(views[name].length);
+  }
+  return staging;
+}
+
+/**
+ * Publish a frame (worker side).
+ *
+ * @param {Object} views - viewSharedFrames() result
+ * @param {Object} frame
+ * @param {number} frame.generation
+ * @param {number} frame.tick
+ * @param {number} frame.alpha
+ * @param {number} frame.topologyVersion - GraphEngine#topologyVersion the arrays were packed from
+ * @param {Object} frame.stats - Routing counters (PacketEngine#stats)
+ * @param {(views: Object) => { nodeCount: number, linkCount: number, curveCount: number, packetCount: number, trailCount: number }} write -
+ *   Fills the shared arrays in place and returns how much it wrote
+ */
+export function writeSharedFrame(views, { generation, tick, alpha, topologyVersion, stats }, write) {
+  const { header } = views;
+  Atomics.add(header, SEQ, 1);
+  const counts = write(views);
+  header[GENERATION] = generation;
+  header[TICK] = tick;
+  header[NODE_COUNT] = counts.nodeCount;
+  header[LINK_COUNT] = counts.linkCount;
+  header[CURVE_COUNT] = counts.curveCount;
+  header[PACKET_COUNT] = counts.packetCount;
+  header[TRAIL_COUNT] = counts.trailCount;
+  views.alpha[ALPHA] = alpha;
+  header[TOPOLOGY_VERSION] = topologyVersion;
+  STAT_KEYS.forEach((key, i) => {
+    header[STATS + i] = stats[key];
+  });
+  Atomics.add(header, SEQ, 1);
+}
+
+/**
+ * Copy the latest complete frame into `staging` (renderer side).
+ *
+ * @param {Object} views - viewSharedFrames() result
+ * @param {Object} staging - createStaging() result
+ * @param {number} lastSeq - Sequence number of the last frame read
+ * @returns {Object|null} seq, generation, tick, alpha, topologyVersion, stats, the counts and
+ *   subarrays of `staging`; null when there is no new frame or the worker
+ *   wrote over it mid-copy
+ */
+export function readSharedFrame(views, staging, lastSeq) {
+  const { header } = views;
+  const seq = Atomics.load(header, SEQ);
+  if (seq === lastSeq || (seq & 1) === 1) return null;
+
+  const frame = {
+    seq,
+    generation: header[GENERATION],
+    tick: header[TICK],
+    nodeCount: header[NODE_COUNT],
+    linkCount: header[LINK_COUNT],
+    curveCount: header[CURVE_COUNT],
+    packetCount: header[PACKET_COUNT],
+    trailCount: header[TRAIL_COUNT],
+    alpha: views.alpha[ALPHA],
+    topologyVersion: header[TOPOLOGY_VERSION],
+    stats: {}
+  };
+  STAT_KEYS.forEach((key, i) => {
+    frame.stats[key] = header[STATS + i];
+  });
+  for (const [name, [, countField, stride]] of Object.entries(ARRAYS)) {
+    const length = frame[countField] * stride;
+    frame[name] = staging[name].subarray(0, length);
+    frame[name].set(views[name].subarray(0, length));
+  }
+
+  return Atomics.load(header, SEQ) === seq ? frame : null;
+}
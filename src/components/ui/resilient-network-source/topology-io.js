@@ -0,0 +1,925 @@
+/**
+ * Topology import/export for the Resilient Network visualization.
+ *
+ * Parses GraphML, GEXF, Graphviz DOT and the JSON schema documented in
+ * docs/network-topology-formats.md into the `{ nodes, links }` shape accepted
+ * by ResilientNetwork.setGraph(), and serializes snapshots back out.
+ *
+ * Everything here is plain string processing so it runs in workers and
+ * build scripts as well as the page (no DOMParser).
+ */
+
+export const TOPOLOGY_FORMATS = ['json', 'graphml', 'gexf', 'dot'];
+
+export const GRAPH_JSON_VERSION = 1;
+
+const NODE_FIELDS = ['cluster', 'size', 'x', 'y', 'z'];
+const LINK_FIELDS = ['utilizedCount', 'weight'];
+
+// ---------------------------------------------------------------------------
+// Shared helpers
+// ---------------------------------------------------------------------------
+
+function toNumber(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : undefined;
+}
+
+function roundCoordinate(value) {
+  return Number.isFinite(value) ? Math.round(value * 1000) / 1000 : value;
+}
+
+/**
+ * XML attributes are text, so GraphML and GEXF IDs that read as canonical
+ * numbers ("17", not "017") come back as numbers, like unquoted DOT IDs.
+ * Numeric IDs then survive a round trip and keep matching failNode(17).
+ */
+function parseId(value) {
+  if (typeof value !== 'string') return value;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && String(numeric) === value ? numeric : value;
+}
+
+/**
+ * A GraphML or GEXF node from its ID attribute and data. A column mixing
+ * numeric and string clusters is declared as strings, so numeric-looking
+ * clusters get parseId() too and keep equal to the numbers they were.
+ */
+function parseXmlNode(id, values) {
+  const node = { id: parseId(id), ...splitFields(values, NODE_FIELDS) };
+  if (node.cluster !== undefined) node.cluster = parseId(node.cluster);
+  return node;
+}
+
+function idOf(endpoint) {
+  return endpoint && typeof endpoint === 'object' ? endpoint.id : endpoint;
+}
+
+/**
+ * Split a parsed attribute bag into the known node/link fields and `meta`.
+ */
+function splitFields(values, knownFields) {
+  const item = {};
+  const meta = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined) continue;
+    if (knownFields.includes(key)) {
+      const numeric = key === 'cluster' ? value : toNumber(value);
+      if (numeric !== undefined) item[key] = numeric;
+    } else {
+      meta[key] = value;
+    }
+  }
+  item.meta = meta;
+  return item;
+}
+
+function flattenNode(node) {
+  const values = {};
+  for (const field of NODE_FIELDS) {
+    const value = field === 'size' || field === 'cluster' ? node[field] : roundCoordinate(node[field]);
+    if (value !== undefined && value !== null) values[field] = value;
+  }
+  return { ...(node.meta || {}), ...values };
+}
+
+function flattenLink(link) {
+  const values = {};
+  for (const field of LINK_FIELDS) {
+    if (link[field] !== undefined && link[field] !== null) values[field] = link[field];
+  }
+  return { ...(link.meta || {}), ...values };
+}
+
+function formatScalar(value) {
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Infer a typed attribute declaration from the values seen for a key.
+ * Returns 'int' | 'double' | 'boolean' | 'string'.
+ */
+function inferValueType(values) {
+  let type = null;
+  for (const value of values) {
+    let next;
+    if (typeof value === 'boolean') next = 'boolean';
+    else if (typeof value === 'number' && Number.isFinite(value)) next = Number.isInteger(value) ? 'int' : 'double';
+    else next = 'string';
+
+    if (type === null || type === next) type = next;
+    else if ((type === 'int' && next === 'double') || (type === 'double' && next === 'int')) type = 'double';
+    else return 'string';
+  }
+  return type || 'string';
+}
+
+function collectAttributeTypes(records) {
+  const valuesByKey = new Map();
+  for (const record of records) {
+    for (const [key, value] of Object.entries(record)) {
+      if (value === undefined || value === null) continue;
+      if (!valuesByKey.has(key)) valuesByKey.set(key, []);
+      valuesByKey.get(key).push(value);
+    }
+  }
+  return [...valuesByKey.entries()].map(([name, values]) => ({ name, type: inferValueType(values) }));
+}
+
+function convertTypedValue(value, type) {
+  if (value === undefined || value === null) return undefined;
+  switch ((type || 'string').toLowerCase()) {
+    case 'int':
+    case 'integer':
+    case 'long':
+    case 'float':
+    case 'double': {
+      const numeric = toNumber(value);
+      return numeric === undefined ? value : numeric;
+    }
+    case 'boolean':
+      return String(value).trim().toLowerCase() === 'true';
+    default:
+      return value;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Minimal XML reader/writer
+// ---------------------------------------------------------------------------
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+function escapeXml(value) {
+  return formatScalar(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse an XML document into `{ name, attributes, children, text }` elements.
+ * Supports elements, attributes, text, CDATA and comments; ignores
+ * processing instructions and doctypes.
+ */
+function parseXml(text) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tokenPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/gi;
+  const attributePattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+  let match;
+  let lastIndex = 0;
+  while ((match = tokenPattern.exec(text)) !== null) {
+    if (match.index !== lastIndex) {
+      throw new Error(`Malformed XML near offset ${lastIndex}`);
+    }
+    lastIndex = tokenPattern.lastIndex;
+
+    const current = stack[stack.length - 1];
+    const [, cdata, closingName, openingName, attributeSource, selfClosing, textContent] = match;
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closingName !== undefined) {
+      if (current.name !== closingName) {
+        throw new Error(`Malformed XML: expected </${current.name}> but found </${closingName}>`);
+      }
+      stack.pop();
+    } else if (openingName !== undefined) {
+      const attributes = {};
+      let attributeMatch;
+      attributePattern.lastIndex = 0;
+      while ((attributeMatch = attributePattern.exec(attributeSource)) !== null) {
+        attributes[attributeMatch[1]] = decodeXmlEntities(attributeMatch[2] ?? attributeMatch[3]);
+      }
+      const element = { name: openingName, attributes, children: [], text: '' };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    } else if (textContent !== undefined) {
+      current.text += decodeXmlEntities(textContent);
+    }
+  }
+
+  if (lastIndex !== text.length) {
+    throw new Error(`Malformed XML near offset ${lastIndex}`);
+  }
+  if (stack.length !== 1) {
+    throw new Error(`Malformed XML: unclosed <${stack[stack.length - 1].name}>`);
+  }
+  return root;
+}
+
+function localName(name) {
+  const colon = name.indexOf(':');
+  return colon >= 0 ? name.slice(colon + 1) : name;
+}
+
+function childElements(element, name) {
+  return element ? element.children.filter(child => localName(child.name) === name) : [];
+}
+
+function firstChild(element, name) {
+  return childElements(element, name)[0] || null;
+}
+
+function findElement(element, name) {
+  if (!element) return null;
+  for (const child of element.children) {
+    if (localName(child.name) === name) return child;
+    const nested = findElement(child, name);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+function xmlAttributes(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+}
+
+// ---------------------------------------------------------------------------
+// GraphML
+// ---------------------------------------------------------------------------
+
+export function parseGraphML(text) {
+  const documentRoot = findElement(parseXml(text), 'graphml');
+  if (!documentRoot) throw new Error('Not a GraphML document: missing <graphml>');
+  const graphElement = firstChild(documentRoot, 'graph');
+  if (!graphElement) throw new Error('GraphML document has no <graph>');
+
+  const keys = { node: new Map(), edge: new Map() };
+  for (const key of childElements(documentRoot, 'key')) {
+    const declaration = {
+      name: key.attributes['attr.name'] || key.attributes.id,
+      type: key.attributes['attr.type'] || 'string',
+      defaultValue: firstChild(key, 'default')?.text
+    };
+    const scope = key.attributes.for || 'all';
+    if (scope === 'node' || scope === 'all') keys.node.set(key.attributes.id, declaration);
+    if (scope === 'edge' || scope === 'all') keys.edge.set(key.attributes.id, declaration);
+  }
+
+  const readData = (element, declarations) => {
+    const values = {};
+    for (const declaration of declarations.values()) {
+      if (declaration.defaultValue !== undefined) {
+        values[declaration.name] = convertTypedValue(declaration.defaultValue, declaration.type);
+      }
+    }
+    for (const data of childElements(element, 'data')) {
+      const declaration = declarations.get(data.attributes.key);
+      const name = declaration?.name || data.attributes.key;
+      values[name] = convertTypedValue(data.text, declaration?.type);
+    }
+    return values;
+  };
+
+  const nodes = childElements(graphElement, 'node').map(element =>
+    parseXmlNode(element.attributes.id, readData(element, keys.node))
+  );
+
+  const links = childElements(graphElement, 'edge').map(element => {
+    const link = {
+      source: parseId(element.attributes.source),
+      target: parseId(element.attributes.target),
+      ...splitFields(readData(element, keys.edge), LINK_FIELDS)
+    };
+    if (element.attributes.id !== undefined) link.meta.id = element.attributes.id;
+    return link;
+  });
+
+  return {
+    directed: graphElement.attributes.edgedefault === 'directed',
+    nodes,
+    links
+  };
+}
+
+export function serializeGraphML(graph) {
+  const nodeRecords = graph.nodes.map(flattenNode);
+  const linkRecords = graph.links.map(flattenLink);
+  const nodeKeys = collectAttributeTypes(nodeRecords).map((key, i) => ({ ...key, id: `n${i}` }));
+  const linkKeys = collectAttributeTypes(linkRecords)
+    .filter(key => key.name !== 'id')
+    .map((key, i) => ({ ...key, id: `e${i}` }));
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+  ];
+  for (const key of nodeKeys) {
+    lines.push(`  <key${xmlAttributes({ id: key.id, for: 'node', 'attr.name': key.name, 'attr.type': key.type })}/>`);
+  }
+  for (const key of linkKeys) {
+    lines.push(`  <key${xmlAttributes({ id: key.id, for: 'edge', 'attr.name': key.name, 'attr.type': key.type })}/>`);
+  }
+  lines.push(`  <graph id="G" edgedefault="${graph.directed ? 'directed' : 'undirected'}">`);
+
+  const writeData = (record, declarations, indent) => {
+    for (const key of declarations) {
+      const value = record[key.name];
+      if (value === undefined || value === null) continue;
+      lines.push(`${indent}<data key="${key.id}">${escapeXml(value)}</data>`);
+    }
+  };
+
+  graph.nodes.forEach((node, i) => {
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    writeData(nodeRecords[i], nodeKeys, '      ');
+    lines.push('    </node>');
+  });
+  graph.links.forEach((link, i) => {
+    const attributes = xmlAttributes({
+      id: linkRecords[i].id,
+      source: idOf(link.source),
+      target: idOf(link.target)
+    });
+    lines.push(`    <edge${attributes}>`);
+    writeData(linkRecords[i], linkKeys, '      ');
+    lines.push('    </edge>');
+  });
+
+  lines.push('  </graph>', '</graphml>', '');
+  return lines.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// GEXF
+// ---------------------------------------------------------------------------
+
+const GEXF_TYPES = { int: 'integer', double: 'double', boolean: 'boolean', string: 'string' };
+
+function parseGexfColor(element) {
+  if (!element) return undefined;
+  const { hex, r, g, b } = element.attributes;
+  if (hex) return hex;
+  const channel = value => Math.max(0, Math.min(255, Number(value) || 0)).toString(16).padStart(2, '0');
+  return `#${channel(r)}${channel(g)}${channel(b)}`;
+}
+
+export function parseGEXF(text) {
+  const documentRoot = findElement(parseXml(text), 'gexf');
+  if (!documentRoot) throw new Error('Not a GEXF document: missing <gexf>');
+  const graphElement = firstChild(documentRoot, 'graph');
+  if (!graphElement) throw new Error('GEXF document has no <graph>');
+
+  const declarations = { node: new Map(), edge: new Map() };
+  for (const group of childElements(graphElement, 'attributes')) {
+    const scope = group.attributes.class === 'edge' ? 'edge' : 'node';
+    for (const attribute of childElements(group, 'attribute')) {
+      declarations[scope].set(attribute.attributes.id, {
+        name: attribute.attributes.title || attribute.attributes.id,
+        type: attribute.attributes.type,
+        defaultValue: firstChild(attribute, 'default')?.text
+      });
+    }
+  }
+
+  const readAttValues = (element, scope) => {
+    const values = {};
+    for (const declaration of declarations[scope].values()) {
+      if (declaration.defaultValue !== undefined) {
+        values[declaration.name] = convertTypedValue(declaration.defaultValue, declaration.type);
+      }
+    }
+    for (const attvalue of childElements(firstChild(element, 'attvalues'), 'attvalue')) {
+      const key = attvalue.attributes.for ?? attvalue.attributes.id;
+      const declaration = declarations[scope].get(key);
+      values[declaration?.name || key] = convertTypedValue(attvalue.attributes.value, declaration?.type);
+    }
+    return values;
+  };
+
+  const nodes = childElements(firstChild(graphElement, 'nodes'), 'node').map(element => {
+    const values = readAttValues(element, 'node');
+    const position = firstChild(element, 'position');
+    const size = firstChild(element, 'size');
+    if (element.attributes.label !== undefined) values.label = element.attributes.label;
+    if (position) {
+      values.x = position.attributes.x;
+      values.y = position.attributes.y;
+      values.z = position.attributes.z;
+    }
+    if (size) values.size = size.attributes.value;
+    const color = parseGexfColor(firstChild(element, 'color'));
+    if (color) values.color = color;
+    return parseXmlNode(element.attributes.id, values);
+  });
+
+  const defaultType = graphElement.attributes.defaultedgetype || 'undirected';
+  const links = childElements(firstChild(graphElement, 'edges'), 'edge').map(element => {
+    const values = readAttValues(element, 'edge');
+    if (element.attributes.weight !== undefined) values.weight = element.attributes.weight;
+    if (element.attributes.label !== undefined) values.label = element.attributes.label;
+    const link = {
+      source: parseId(element.attributes.source),
+      target: parseId(element.attributes.target),
+      ...splitFields(values, LINK_FIELDS)
+    };
+    if (element.attributes.id !== undefined) link.meta.id = element.attributes.id;
+    return link;
+  });
+
+  return { directed: defaultType === 'directed', nodes, links };
+}
+
+export function serializeGEXF(graph) {
+  const nodeRecords = graph.nodes.map(node => {
+    const record = flattenNode(node);
+    delete record.x;
+    delete record.y;
+    delete record.z;
+    delete record.size;
+    delete record.label;
+    return record;
+  });
+  const linkRecords = graph.links.map(link => {
+    const record = flattenLink(link);
+    delete record.weight;
+    delete record.id;
+    delete record.label;
+    return record;
+  });
+  const nodeAttributes = collectAttributeTypes(nodeRecords).map((attribute, i) => ({ ...attribute, id: `n${i}` }));
+  const linkAttributes = collectAttributeTypes(linkRecords).map((attribute, i) => ({ ...attribute, id: `e${i}` }));
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+    `  <graph mode="static" defaultedgetype="${graph.directed ? 'directed' : 'undirected'}">`
+  ];
+
+  const writeDeclarations = (scope, attributes) => {
+    if (attributes.length === 0) return;
+    lines.push(`    <attributes class="${scope}">`);
+    for (const attribute of attributes) {
+      lines.push(`      <attribute${xmlAttributes({ id: attribute.id, title: attribute.name, type: GEXF_TYPES[attribute.type] })}/>`);
+    }
+    lines.push('    </attributes>');
+  };
+  const writeAttValues = (record, attributes) => {
+    const present = attributes.filter(attribute => record[attribute.name] !== undefined && record[attribute.name] !== null);
+    if (present.length === 0) return;
+    lines.push('        <attvalues>');
+    for (const attribute of present) {
+      lines.push(`          <attvalue${xmlAttributes({ for: attribute.id, value: record[attribute.name] })}/>`);
+    }
+    lines.push('        </attvalues>');
+  };
+
+  writeDeclarations('node', nodeAttributes);
+  writeDeclarations('edge', linkAttributes);
+
+  lines.push('    <nodes>');
+  graph.nodes.forEach((node, i) => {
+    lines.push(`      <node${xmlAttributes({ id: node.id, label: node.meta?.label })}>`);
+    writeAttValues(nodeRecords[i], nodeAttributes);
+    if (Number.isFinite(node.x) && Number.isFinite(node.y)) {
+      lines.push(`        <viz:position${xmlAttributes({
+        x: roundCoordinate(node.x),
+        y: roundCoordinate(node.y),
+        z: Number.isFinite(node.z) ? roundCoordinate(node.z) : undefined
+      })}/>`);
+    }
+    if (Number.isFinite(node.size)) {
+      lines.push(`        <viz:size value="${node.size}"/>`);
+    }
+    lines.push('      </node>');
+  });
+  lines.push('    </nodes>', '    <edges>');
+  graph.links.forEach((link, i) => {
+    const attributes = xmlAttributes({
+      id: link.meta?.id,
+      source: idOf(link.source),
+      target: idOf(link.target),
+      weight: link.weight,
+      label: link.meta?.label
+    });
+    if (linkRecords[i] && Object.keys(linkRecords[i]).length > 0) {
+      lines.push(`      <edge${attributes}>`);
+      writeAttValues(linkRecords[i], linkAttributes);
+      lines.push('      </edge>');
+    } else {
+      lines.push(`      <edge${attributes}/>`);
+    }
+  });
+  lines.push('    </edges>', '  </graph>', '</gexf>', '');
+  return lines.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Graphviz DOT
+// ---------------------------------------------------------------------------
+
+/**
+ * Tokenize DOT source. Quoted strings keep `quoted: true` so numerals can be
+ * told apart from string values that merely look numeric.
+ */
+function tokenizeDot(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '/' && next === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (char === '/' && next === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end < 0 ? text.length : end + 2;
+    } else if (char === '#' && (i === 0 || text[i - 1] === '\n')) {
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (char === '-' && (next === '-' || next === '>')) {
+      tokens.push({ type: 'edgeop', value: char + next });
+      i += 2;
+    } else if ('{}[]=;,:'.includes(char)) {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === '"') {
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && text[i + 1] === '"') {
+          value += '"';
+          i += 2;
+        } else if (text[i] === '\\' && text[i + 1] === '\n') {
+          i += 2;
+        } else {
+          value += text[i++];
+        }
+      }
+      if (i >= text.length) throw new Error('Unterminated string in DOT source');
+      i++;
+      const previous = tokens[tokens.length - 1];
+      const beforePrevious = tokens[tokens.length - 2];
+      if (previous?.type === '+' && beforePrevious?.quoted) {
+        tokens.pop();
+        beforePrevious.value += value;
+      } else {
+        tokens.push({ type: 'id', value, quoted: true });
+      }
+    } else if (char === '+') {
+      tokens.push({ type: '+' });
+      i++;
+    } else if (char === '<') {
+      let depth = 0;
+      let value = '';
+      do {
+        if (text[i] === '<') depth++;
+        else if (text[i] === '>') depth--;
+        value += text[i++];
+      } while (i < text.length && depth > 0);
+      tokens.push({ type: 'id', value: value.slice(1, -1), quoted: true });
+    } else {
+      const match = /^(-?(?:\.\d+|\d+(?:\.\d*)?)|[A-Za-z_\u0080-\uFFFF][\w\u0080-\uFFFF]*)/.exec(text.slice(i));
+      if (!match) throw new Error(`Unexpected character '${char}' in DOT source`);
+      tokens.push({ type: 'id', value: match[0], quoted: false });
+      i += match[0].length;
+    }
+  }
+  return tokens;
+}
+
+function dotValue(token) {
+  if (token.quoted) return token.value;
+  if (/^-?(?:\.\d+|\d+(?:\.\d*)?)$/.test(token.value)) return Number(token.value);
+  if (token.value === 'true' || token.value === 'false') return token.value === 'true';
+  return token.value;
+}
+
+function applyDotPosition(values) {
+  if (typeof values.pos !== 'string') return values;
+  const parts = values.pos.replace(/!$/, '').split(',').map(Number);
+  if (parts.length < 2 || !parts.every(Number.isFinite)) return values;
+  const positioned = { ...values, x: parts[0], y: parts[1], z: parts[2] };
+  delete positioned.pos;
+  return positioned;
+}
+
+export function parseDOT(text) {
+  const tokens = tokenizeDot(text);
+  let index = 0;
+
+  const peek = (offset = 0) => tokens[index + offset];
+  const isKeyword = (token, keyword) => token?.type === 'id' && !token.quoted && token.value.toLowerCase() === keyword;
+  const expect = (type) => {
+    const token = tokens[index++];
+    if (!token || token.type !== type) {
+      throw new Error(`Expected '${type}' in DOT source but found '${token?.value ?? token?.type ?? 'end of input'}'`);
+    }
+    return token;
+  };
+
+  if (isKeyword(peek(), 'strict')) index++;
+  const kind = peek();
+  if (!isKeyword(kind, 'graph') && !isKeyword(kind, 'digraph')) {
+    throw new Error('Not a DOT document: expected graph or digraph');
+  }
+  const directed = isKeyword(kind, 'digraph');
+  index++;
+  if (peek()?.type === 'id') index++;
+
+  const nodeMap = new Map();
+  const links = [];
+
+  const ensureNode = (id, scope) => {
+    let node = nodeMap.get(id);
+    if (!node) {
+      node = { id, values: { ...scope.node } };
+      if (scope.cluster !== undefined && node.values.cluster === undefined) {
+        node.values.cluster = scope.cluster;
+      }
+      nodeMap.set(id, node);
+    }
+    return node;
+  };
+
+  const parseAttrList = () => {
+    const values = {};
+    while (peek()?.type === '[') {
+      index++;
+      while (peek() && peek().type !== ']') {
+        const key = expect('id').value;
+        let value = true;
+        if (peek()?.type === '=') {
+          index++;
+          value = dotValue(expect('id'));
+        }
+        values[key] = value;
+        if (peek()?.type === ',' || peek()?.type === ';') index++;
+      }
+      expect(']');
+    }
+    return values;
+  };
+
+  const parseNodeId = () => {
+    const id = dotValue(expect('id'));
+    // Ports (node:port:compass) only affect drawing
+    while (peek()?.type === ':') {
+      index++;
+      expect('id');
+    }
+    return id;
+  };
+
+  // Returns the node IDs touched by the statement list
+  const parseStatements = (scope) => {
+    const touched = new Set();
+    while (peek() && peek().type !== '}') {
+      const token = peek();
+
+      if (token.type === ';' || token.type === ',') {
+        index++;
+        continue;
+      }
+
+      if (isKeyword(token, 'graph') || isKeyword(token, 'node') || isKeyword(token, 'edge')) {
+        if (peek(1)?.type === '[') {
+          index++;
+          const values = parseAttrList();
+          const keyword = token.value.toLowerCase();
+          if (keyword === 'node') Object.assign(scope.node, values);
+          else if (keyword === 'edge') Object.assign(scope.edge, values);
+          else if (values.cluster !== undefined) scope.cluster = values.cluster;
+          continue;
+        }
+      }
+
+      if (token.type === 'id' && peek(1)?.type === '=') {
+        const key = token.value;
+        index += 2;
+        const value = dotValue(expect('id'));
+        if (key === 'cluster') scope.cluster = value;
+        continue;
+      }
+
+      const left = parseOperand(scope);
+      if (peek()?.type === 'edgeop') {
+        const chain = [left];
+        while (peek()?.type === 'edgeop') {
+          index++;
+          chain.push(parseOperand(scope));
+        }
+        const values = { ...scope.edge, ...parseAttrList() };
+        for (let i = 0; i < chain.length - 1; i++) {
+          for (const source of chain[i]) {
+            for (const target of chain[i + 1]) {
+              links.push({ source, target, values });
+            }
+          }
+        }
+        chain.forEach(ids => ids.forEach(id => touched.add(id)));
+      } else {
+        if (left.length === 1 && left.isNode) {
+          const node = ensureNode(left[0], scope);
+          Object.assign(node.values, parseAttrList());
+        }
+        left.forEach(id => touched.add(id));
+      }
+    }
+    return touched;
+  };
+
+  const parseOperand = (scope) => {
+    const token = peek();
+    if (isKeyword(token, 'subgraph') || token?.type === '{') {
+      let name = null;
+      if (isKeyword(token, 'subgraph')) {
+        index++;
+        if (peek()?.type === 'id') name = String(expect('id').value);
+      }
+      expect('{');
+      const childScope = {
+        node: { ...scope.node },
+        edge: { ...scope.edge },
+        cluster: name && name.startsWith('cluster') ? name.replace(/^cluster_?/, '') || name : scope.cluster
+      };
+      const ids = [...parseStatements(childScope)];
+      expect('}');
+      return ids;
+    }
+    const id = parseNodeId();
+    ensureNode(id, scope);
+    const ids = [id];
+    ids.isNode = true;
+    return ids;
+  };
+
+  expect('{');
+  parseStatements({ node: {}, edge: {}, cluster: undefined });
+  expect('}');
+
+  const nodes = [...nodeMap.values()].map(({ id, values }) => ({
+    id,
+    ...splitFields(applyDotPosition(values), NODE_FIELDS)
+  }));
+  return {
+    directed,
+    nodes,
+    links: links.map(({ source, target, values }) => ({
+      source,
+      target,
+      ...splitFields(values, LINK_FIELDS)
+    }))
+  };
+}
+
+function formatDotId(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  if (typeof value === 'boolean') return String(value);
+  const text = formatScalar(value);
+  if (/^[A-Za-z_][\w]*$/.test(text) && !/^(node|edge|graph|digraph|subgraph|strict)$/i.test(text)) {
+    return text;
+  }
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+function formatDotAttributes(values) {
+  const entries = Object.entries(values).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return '';
+  return ` [${entries.map(([key, value]) => `${formatDotId(key)}=${formatDotId(value)}`).join(', ')}]`;
+}
+
+export function serializeDOT(graph) {
+  const edgeOp = graph.directed ? '->' : '--';
+  const lines = [`${graph.directed ? 'digraph' : 'graph'} network {`];
+
+  for (const node of graph.nodes) {
+    const { x, y, z, ...values } = flattenNode(node);
+    if (Number.isFinite(x) && Number.isFinite(y)) {
+      values.pos = Number.isFinite(z) ? `${x},${y},${z}` : `${x},${y}`;
+    }
+    lines.push(`  ${formatDotId(node.id)}${formatDotAttributes(values)};`);
+  }
+  for (const link of graph.links) {
+    const source = formatDotId(idOf(link.source));
+    const target = formatDotId(idOf(link.target));
+    lines.push(`  ${source} ${edgeOp} ${target}${formatDotAttributes(flattenLink(link))};`);
+  }
+
+  lines.push('}', '');
+  return lines.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// JSON
+// ---------------------------------------------------------------------------
+
+export function parseGraphJSON(input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!data || typeof data !== 'object' || !Array.isArray(data.nodes)) {
+    throw new Error('Graph JSON must be an object with a nodes array');
+  }
+  if (data.version !== undefined && data.version > GRAPH_JSON_VERSION) {
+    throw new Error(`Unsupported graph JSON version ${data.version} (expected ${GRAPH_JSON_VERSION})`);
+  }
+  const links = data.links || data.edges || [];
+  return {
+    directed: Boolean(data.directed),
+    nodes: data.nodes.map(node => ({ ...node, meta: { ...(node.meta || {}) } })),
+    links: links.map(link => ({
+      ...link,
+      source: idOf(link.source),
+      target: idOf(link.target),
+      meta: { ...(link.meta || {}) }
+    }))
+  };
+}
+
+export function serializeGraphJSON(graph) {
+  const nodes = graph.nodes.map(node => {
+    const entry = { id: node.id };
+    for (const field of NODE_FIELDS) {
+      if (node[field] !== undefined && node[field] !== null) {
+        entry[field] = field === 'size' || field === 'cluster' ? node[field] : roundCoordinate(node[field]);
+      }
+    }
+    if (node.meta && Object.keys(node.meta).length > 0) entry.meta = node.meta;
+    return entry;
+  });
+  const links = graph.links.map(link => {
+    const entry = { source: idOf(link.source), target: idOf(link.target) };
+    for (const field of LINK_FIELDS) {
+      if (link[field] !== undefined && link[field] !== null) entry[field] = link[field];
+    }
+    if (link.meta && Object.keys(link.meta).length > 0) entry.meta = link.meta;
+    return entry;
+  });
+  return JSON.stringify({
+    version: GRAPH_JSON_VERSION,
+    directed: Boolean(graph.directed),
+    nodes,
+    links
+  }, null, 2);
+}
+
+// ---------------------------------------------------------------------------
+// Format dispatch
+// ---------------------------------------------------------------------------
+
+export function detectTopologyFormat(text) {
+  const head = text.trimStart().slice(0, 512).toLowerCase();
+  if (head.startsWith('{') || head.startsWith('[')) return 'json';
+  if (head.startsWith('<')) {
+    if (head.includes('<graphml')) return 'graphml';
+    if (head.includes('<gexf')) return 'gexf';
+  }
+  if (/^(?:(?:\/\/|#)[^\n]*\n|\/\*[\s\S]*?\*\/|\s)*(strict\s+)?(di)?graph\b/.test(head)) return 'dot';
+  return null;
+}
+
+/**
+ * Parse topology text. The format is detected when not given.
+ *
+ * @param {string} text
+ * @param {'json'|'graphml'|'gexf'|'dot'} [format]
+ * @returns {{ directed: boolean, nodes: Object[], links: Object[] }}
+ */
+export function parseTopology(text, format = detectTopologyFormat(text)) {
+  switch (format) {
+    case 'json': return parseGraphJSON(text);
+    case 'graphml': return parseGraphML(text);
+    case 'gexf': return parseGEXF(text);
+    case 'dot': return parseDOT(text);
+    default:
+      throw new Error(`Unrecognized topology format${format ? `: ${format}` : ''}`);
+  }
+}
+
+/**
+ * Serialize a `{ nodes, links }` graph (e.g. a ResilientNetwork snapshot).
+ *
+ * @param {{ directed?: boolean, nodes: Object[], links: Object[] }} graph
+ * @param {'json'|'graphml'|'gexf'|'dot'} [format]
+ * @returns {string}
+ */
+export function serializeTopology(graph, format = 'json') {
+  switch (format) {
+    case 'json': return serializeGraphJSON(graph);
+    case 'graphml': return serializeGraphML(graph);
+    case 'gexf': return serializeGEXF(graph);
+    case 'dot': return serializeDOT(graph);
+    default:
+      throw new Error(`Unrecognized topology format: ${format}`);
+  }
+}
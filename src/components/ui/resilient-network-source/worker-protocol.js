@@ -0,0 +1,47 @@
+/**
+ * Message protocol between the renderer (resilient-network.js) and
+ * physics-worker.js. Bump PROTOCOL_VERSION with any change a renderer and
+ * worker from different builds would disagree on; the worker reports its
+ * version in 'ready' and the renderer falls back to the main thread on a
+ * mismatch.
+ *
+ * Renderer -> worker commands (no reply):
+ *   init        { generation, initialNodes, initialLinks, config, routingStats, shared? }
+ *               Start fresh engines; answered by 'ready'
+ *   tick        Step once and post a 'frame' (transfer mode)
+ *   run         { running?, intervalMs? } Pace the free-running loop (shared mode)
+ *   setConfig   { config } Merged into the engine config (see mergeConfig())
+ *   setRouting  { name }
+ *   addNodes    { nodes, links }
+ *   addCluster  { x, y, z }
+ *   fail        { nodeIds?, linkKeys? }
+ *   restore
+ *
+ * Renderer -> worker requests. Each carries a `requestId` and gets exactly
+ * one 'reply' with the same ID, after any deltas the request caused:
+ *   removeNodes   { ids } -> { removed: ids that existed }
+ *   removeLinks   { links: [{ source, target }] } -> { removed: endpoint pairs that existed }
+ *   replaceGraph  { generation, nodes, links } -> { nodeCount, linkCount }
+ *   reset         { generation } -> snapshot of the graph last given by init
+ *                 or replaceGraph, now restored
+ *   snapshot      -> { nodes, links } as snapshotGraph() builds them: IDs,
+ *                 attributes, positions and per-link utilizedCount
+ *   settle        { maxTicks, alphaMin } -> { ticks, alpha }, after a frame
+ *                 showing the settled layout (see GraphEngine#settle)
+ *
+ * Worker -> renderer:
+ *   ready         { protocolVersion, nodeCount, linkCount, transport: 'shared'|'transfer' }
+ *   frame         Positions, link indices, utilization and cooling flags,
+ *                 bundled link curves, packets and trails (transfer mode;
+ *                 shared mode writes them, see shared-frames.js)
+ *   nodesAdded    { generation, topologyVersion, nodes: [{ id, cluster, size, meta }] }
+ *   nodesRemoved  { generation, topologyVersion, ids, reason }
+ *   linkRemoved   { generation, source, target, reason: 'utilization'|'removed' }
+ *   packetEvents  { generation, events: [{ type, packet, reason? }] }
+ *   reply         { requestId, request, generation, ok, result?, error? }
+ *
+ * `generation` is the renderer's graph generation the worker was last given
+ * (init, replaceGraph, reset); the renderer ignores anything from an older one.
+ */
+
+export const PROTOCOL_VERSION = 4;
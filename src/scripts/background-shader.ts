@@ -20,9 +20,8 @@ out vec4 fragColor;
 
 uniform float uTime;
 uniform vec2  uResolution;
+uniform vec3  uHue;
 
-// ink-90: hsla(249, 100%, 93%)
-const vec3 HUE = vec3(0.859, 0.839, 1.0);
 const mat3 BCC_MAT = mat3(
   0.788675134594813, -0.211324865405187, -0.577350269189626,
  -0.211324865405187,  0.788675134594813, -0.577350269189626,
@@ -111,7 +110,7 @@ void main() {
   intensity = clamp(intensity, 0.0, 1.0);
 
   // Premultiplied alpha
-  fragColor = vec4(HUE * intensity, intensity);
+  fragColor = vec4(uHue * intensity, intensity);
 }
 `;
 
@@ -123,9 +122,24 @@ type IdleCallbackWindow = Window & {
   requestIdleCallback?: (callback: () => void, options?: { timeout: number }) => number;
 };
 
+type Theme = 'light' | 'dark';
+type ThemeChangeEvent = CustomEvent<{ theme?: Theme }>;
+
 const BACKGROUND_FPS = 24;
 const FRAME_INTERVAL_MS = 1000 / BACKGROUND_FPS;
 
+// dark: ink-90 hsla(249, 100%, 93%); light: ink-70 hsla(246, 39%, 75%), which
+// still reads over a pale page
+const THEME_HUES: Record<Theme, [number, number, number]> = {
+  dark: [0.859, 0.839, 1.0],
+  light: [0.672, 0.653, 0.848],
+};
+const THEME_TRANSITION_MS = 600;
+
+function currentTheme(): Theme {
+  return document.documentElement.classList.contains('light') ? 'light' : 'dark';
+}
+
 export function initShader(canvas: HTMLCanvasElement): ShaderInstance {
   const idleWin = window as IdleCallbackWindow;
   const gl = canvas.getContext('webgl2', {
@@ -174,6 +188,7 @@ export function initShader(canvas: HTMLCanvasElement): ShaderInstance {
 
   const uTime = gl.getUniformLocation(prog, 'uTime');
   const uRes  = gl.getUniformLocation(prog, 'uResolution');
+  const uHue  = gl.getUniformLocation(prog, 'uHue');
   const dprCap = Math.min(window.devicePixelRatio || 1, 2);
 
   // Track last applied size to avoid unnecessary canvas buffer clears.
@@ -200,8 +215,8 @@ export function initShader(canvas: HTMLCanvasElement): ShaderInstance {
       lastW = w;
       lastH = h;
     }
-    gl.viewport(0, 0, canvas.width, canvas.height);
-    gl.uniform2f(uRes, canvas.width, canvas.height);
+    gl!.viewport(0, 0, canvas.width, canvas.height);
+    gl!.uniform2f(uRes, canvas.width, canvas.height);
   }
 
   const ro = new ResizeObserver(resize);
@@ -225,10 +240,33 @@ export function initShader(canvas: HTMLCanvasElement): ShaderInstance {
   const t0 = performance.now();
   let lastDraw = 0;
 
+  // Hue tweens from wherever it is when the theme changes
+  const hue = [...THEME_HUES[currentTheme()]];
+  let hueFrom = [...hue];
+  let hueTo = [...hue];
+  let hueChangedAt = -Infinity;
+
+  function onThemeChange(event: Event) {
+    const theme = (event as ThemeChangeEvent).detail?.theme ?? currentTheme();
+    hueFrom = [...hue];
+    hueTo = [...THEME_HUES[theme]];
+    hueChangedAt = performance.now();
+  }
+
+  function updateHue(now: number) {
+    const t = Math.min(1, Math.max(0, (now - hueChangedAt) / THEME_TRANSITION_MS));
+    const eased = t * t * (3 - 2 * t);
+    for (let i = 0; i < 3; i++) {
+      hue[i] = hueFrom[i] + (hueTo[i] - hueFrom[i]) * eased;
+    }
+    gl!.uniform3f(uHue, hue[0], hue[1], hue[2]);
+  }
+
   function draw(now: number) {
     const elapsed = (now - t0) * 0.001;
     gl!.viewport(0, 0, canvas.width, canvas.height);
     gl!.uniform1f(uTime, elapsed);
+    updateHue(now);
     gl!.drawArrays(gl!.TRIANGLES, 0, 3);
   }
 
@@ -286,6 +324,7 @@ export function initShader(canvas: HTMLCanvasElement): ShaderInstance {
   }
 
   document.addEventListener('visibilitychange', onVisibilityChange);
+  document.addEventListener('themechange', onThemeChange);
 
   function destroy() {
     destroyed = true;
@@ -293,6 +332,7 @@ export function initShader(canvas: HTMLCanvasElement): ShaderInstance {
     ro.disconnect();
     io.disconnect();
     document.removeEventListener('visibilitychange', onVisibilityChange);
+    document.removeEventListener('themechange', onThemeChange);
     gl!.deleteProgram(prog);
     gl!.deleteShader(vs);
     gl!.deleteShader(fs);
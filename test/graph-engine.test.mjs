@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { GraphEngine } from '../src/components/ui/resilient-network-source/graph-engine.js'
+import {
+  NETWORK_CONFIG,
+  createRandom,
+  mergeConfig
+} from '../src/components/ui/resilient-network-source/network-config.js'
+
+/** A seeded engine over a chain of `count` nodes in one cluster */
+function chainEngine(count) {
+  const random = createRandom(7)
+  const nodes = Array.from({ length: count }, (_, id) => ({
+    id,
+    cluster: 0,
+    x: id * 10,
+    y: 0,
+    z: 0
+  }))
+  const links = nodes.slice(1).map((node) => ({ source: node.id - 1, target: node.id }))
+  const config = mergeConfig(NETWORK_CONFIG, { seed: 7, evolve: false })
+  return new GraphEngine(config, { nodes, links, random })
+}
+
+test('retiring the highest-ID node never hands its ID to a newcomer', () => {
+  const engine = chainEngine(5)
+  assert.deepEqual(engine.removeNodes([4], 'retired'), [4])
+
+  const spawned = engine.spawnNode()
+  assert.equal(spawned.id, 5)
+  assert.equal(engine.getNode(4), null)
+})
+
+test('a new cluster gets IDs and a cluster number past every removed one', () => {
+  const engine = chainEngine(5)
+  const cluster = engine.addCluster(0, 0)
+  const lastId = cluster[cluster.length - 1].id
+  engine.removeNodes(cluster.map((node) => node.id))
+
+  const next = engine.addCluster(0, 0)
+  assert.equal(next[0].id, lastId + 1)
+  assert.equal(next[0].cluster, cluster[0].cluster + 1)
+})
+
+test('a new graph starts its IDs over', () => {
+  const engine = chainEngine(5)
+  engine.setGraph([{ id: 0, x: 0, y: 0, z: 0 }], [])
+  assert.equal(engine.spawnNode().id, 1)
+})
+
+test('reset keeps the IDs of grown and removed nodes retired', () => {
+  const engine = chainEngine(5)
+  const cluster = engine.addCluster(0, 0)
+  const grown = engine.spawnNode()
+  engine.removeNodes([4])
+  engine.reset()
+
+  assert.equal(engine.getNode(grown.id), null)
+  assert.ok(engine.getNode(4))
+  assert.equal(engine.spawnNode().id, grown.id + 1)
+  assert.equal(engine.addCluster(0, 0)[0].cluster, cluster[0].cluster + 1)
+})
@@ -0,0 +1,30 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { GraphIndex, LinkSlots } from '../src/components/ui/resilient-network-source/graph-index.js'
+
+const nodes = [{ id: 'a' }, { id: 'b' }, { id: 'c' }]
+
+test('the first sync keeps the link objects the slots were reset with', () => {
+  const links = [
+    { source: 'a', target: 'b', weight: 2, meta: { label: 'uplink' } },
+    { source: 'b', target: 'c', meta: { label: 'relay' } }
+  ]
+  const slots = new LinkSlots(new GraphIndex())
+  slots.reset(links)
+
+  // The worker may order links differently
+  assert.equal(slots.sync(new Uint32Array([1, 2, 0, 1]), 2, nodes, nodes.length), true)
+  assert.equal(slots.links[0], links[1])
+  assert.equal(slots.links[1], links[0])
+  assert.equal(slots.links[1].weight, 2)
+  assert.deepEqual(slots.links[1].meta, { label: 'uplink' })
+  assert.equal(slots.links[1].source, nodes[0])
+})
+
+test('links the worker added since get fresh objects', () => {
+  const slots = new LinkSlots(new GraphIndex())
+  slots.reset([{ source: 'a', target: 'b', meta: {} }])
+  slots.sync(new Uint32Array([0, 2]), 1, nodes, nodes.length)
+  assert.equal(slots.links[0].meta, undefined)
+  assert.equal(slots.links[0].utilizedCount, 0)
+})
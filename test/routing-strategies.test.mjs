@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { createRoutingStrategy } from '../src/components/ui/resilient-network-source/routing-strategies.js'
+import { NETWORK_CONFIG } from '../src/components/ui/resilient-network-source/network-config.js'
+
+/** Undirected adjacency from `[a, b]` pairs */
+function adjacencyOf(pairs) {
+  const adjacency = new Map()
+  for (const [a, b] of pairs) {
+    if (!adjacency.has(a)) adjacency.set(a, [])
+    if (!adjacency.has(b)) adjacency.set(b, [])
+    adjacency.get(a).push({ id: b, cost: 1 })
+    adjacency.get(b).push({ id: a, cost: 1 })
+  }
+  return adjacency
+}
+
+/** A strategy over a fixed topology with a hand-driven clock, collecting dropHeld() reports */
+function setup(name, pairs) {
+  const clock = { now: 0 }
+  const held = []
+  const adjacency = adjacencyOf(pairs)
+  const strategy = createRoutingStrategy(name, {
+    getAdjacency: () => adjacency,
+    random: () => 0,
+    now: () => clock.now,
+    settings: () => NETWORK_CONFIG.packets,
+    dropHeld: (nodeId, destinationId, count, reason) =>
+      held.push({ nodeId, destinationId, count, reason })
+  })
+  return { strategy, clock, held }
+}
+
+/**
+ * Deliver every hop in flight, breadth first, until the network is quiet.
+ * Returns how often each data status came up.
+ */
+function drain(strategy, hops) {
+  const statuses = {}
+  let queue = hops.map((hop) => ({ ...hop, previous: hop.from }))
+  while (queue.length > 0) {
+    const next = []
+    for (const hop of queue) {
+      const packet = { destination: hop.destination, kind: hop.kind, route: hop.route }
+      const { status, hops: launched } = strategy.arrive(packet, hop.to, hop.previous)
+      if (hop.kind === 'data') statuses[status] = (statuses[status] ?? 0) + 1
+      for (const h of launched) next.push({ ...h, previous: h.from })
+    }
+    queue = next
+  }
+  return statuses
+}
+
+// Two islands: 0-1-2 and 3-4
+const PARTITIONED = [
+  [0, 1],
+  [1, 2],
+  [0, 2],
+  [3, 4]
+]
+
+for (const name of ['flooding', 'gossip']) {
+  test(`${name} drops a message once when no copy reaches its destination`, () => {
+    const { strategy } = setup(name, PARTITIONED)
+    const statuses = drain(strategy, strategy.originate(0, 3))
+    assert.equal(statuses.dropped, 1)
+    assert.equal(statuses.delivered, undefined)
+  })
+
+  test(`${name} doesn't drop a delivered message when its other copies die out`, () => {
+    const { strategy } = setup(name, PARTITIONED)
+    const statuses = drain(strategy, strategy.originate(0, 2))
+    assert.equal(statuses.delivered, 1)
+    assert.equal(statuses.dropped, undefined)
+  })
+
+  test(`${name} counts a copy lost by the engine only if it was the last`, () => {
+    const { strategy } = setup(name, PARTITIONED)
+    const [first, second] = strategy.originate(0, 3)
+    assert.equal(strategy.lose({ ...first, kind: 'data' }), false)
+    assert.equal(strategy.lose({ ...second, kind: 'data' }), true)
+  })
+}
+
+test('aodv drops packets buffered for an unreachable destination when discovery times out', () => {
+  const { strategy, clock, held } = setup('aodv', PARTITIONED)
+  const { discoveryTimeoutMs } = NETWORK_CONFIG.packets.aodv
+
+  drain(strategy, strategy.originate(0, 3))
+  assert.deepEqual(strategy.originate(0, 3), [])
+  strategy.expire()
+  assert.deepEqual(held, [])
+
+  clock.now = discoveryTimeoutMs
+  strategy.expire()
+  assert.deepEqual(held, [{ nodeId: 0, destinationId: 3, count: 2, reason: 'unreachable' }])
+
+  // Nothing is left to drop twice
+  strategy.expire()
+  strategy.reset()
+  assert.equal(held.length, 1)
+})
+
+test('aodv drops the packets of a timed-out discovery before starting another', () => {
+  const { strategy, clock, held } = setup('aodv', PARTITIONED)
+  strategy.originate(0, 3)
+  clock.now = NETWORK_CONFIG.packets.aodv.discoveryTimeoutMs
+  assert.ok(strategy.originate(0, 3).length > 0)
+  assert.deepEqual(held, [{ nodeId: 0, destinationId: 3, count: 1, reason: 'unreachable' }])
+})
+
+test('aodv drops buffered packets on reset', () => {
+  const { strategy, held } = setup('aodv', PARTITIONED)
+  strategy.originate(0, 3)
+  strategy.originate(1, 4)
+  strategy.reset()
+  assert.deepEqual(
+    held.map((h) => [h.nodeId, h.destinationId, h.count, h.reason]),
+    [
+      [0, 3, 1, 'removed'],
+      [1, 4, 1, 'removed']
+    ]
+  )
+})
+
+test('aodv delivers buffered packets once a route reply comes back', () => {
+  const { strategy, held } = setup('aodv', PARTITIONED)
+  const statuses = drain(strategy, strategy.originate(0, 2))
+  assert.equal(statuses.delivered, 1)
+  assert.deepEqual(held, [])
+})
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import {
+  parseGEXF,
+  parseGraphML,
+  serializeGEXF,
+  serializeGraphML
+} from '../src/components/ui/resilient-network-source/topology-io.js'
+import { GraphIndex } from '../src/components/ui/resilient-network-source/graph-index.js'
+
+const GRAPH = {
+  directed: false,
+  nodes: [
+    { id: 0, cluster: 0, meta: {} },
+    { id: 17, cluster: 0, meta: {} },
+    { id: 'relay-2', cluster: 1, meta: {} },
+    { id: '007', cluster: 1, meta: {} }
+  ],
+  links: [
+    { source: 0, target: 17, meta: {} },
+    { source: 17, target: 'relay-2', meta: {} },
+    { source: 'relay-2', target: '007', meta: {} }
+  ]
+}
+
+for (const [format, serialize, parse] of [
+  ['GraphML', serializeGraphML, parseGraphML],
+  ['GEXF', serializeGEXF, parseGEXF]
+]) {
+  test(`${format} round trips keep numeric node IDs numeric`, () => {
+    const graph = parse(serialize(GRAPH))
+    assert.deepEqual(
+      graph.nodes.map((node) => node.id),
+      [0, 17, 'relay-2', '007']
+    )
+    assert.deepEqual(
+      graph.links.map((link) => [link.source, link.target]),
+      [
+        [0, 17],
+        [17, 'relay-2'],
+        ['relay-2', '007']
+      ]
+    )
+  })
+}
+
+test('grown IDs skip past string IDs that read as numbers', () => {
+  const index = new GraphIndex()
+  index.reset([{ id: '41' }, { id: 'relay' }, { id: 3 }], [])
+  assert.equal(index.nextId(), 42)
+})
+
+for (const [format, serialize, parse] of [
+  ['GraphML', serializeGraphML, parseGraphML],
+  ['GEXF', serializeGEXF, parseGEXF]
+]) {
+  test(`${format} round trips don't give links without metadata an id`, () => {
+    const graph = parse(
+      serialize({
+        nodes: [{ id: 0 }, { id: 1 }, { id: 2 }],
+        links: [
+          { source: 0, target: 1 },
+          { source: 1, target: 2 }
+        ]
+      })
+    )
+    assert.deepEqual(
+      graph.links.map((link) => link.meta),
+      [{}, {}]
+    )
+  })
+
+  test(`${format} round trips keep numeric clusters in a mixed cluster column numeric`, () => {
+    const graph = parse(
+      serialize({
+        nodes: [
+          { id: 0, cluster: 0 },
+          { id: 1, cluster: 'edge' },
+          { id: 2, cluster: 12 }
+        ],
+        links: []
+      })
+    )
+    assert.deepEqual(
+      graph.nodes.map((node) => node.cluster),
+      [0, 'edge', 12]
+    )
+  })
+}